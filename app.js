@@ -0,0 +1,5007 @@
+import express from "express";
+import session from "express-session";
+import pgSession from "connect-pg-simple";
+import bodyParser from "body-parser";
+import pg from "pg";
+import bcrypt from "bcryptjs";
+import morgan from "morgan";
+import cors from "cors";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import "dotenv/config";
+import { sendToUser, disconnectUser } from "./lib/realtime.js";
+import { buildCalendar } from "./lib/ical.js";
+import { createMailTransport } from "./lib/mailer.js";
+import { createNotifier, EMAIL_CATEGORIES } from "./lib/notifications.js";
+import { migrationStatus } from "./lib/migrations.js";
+import { canActOnSession, canActOnUser } from "./lib/policies.js";
+import {
+  LOCKOUT_THRESHOLD,
+  IP_FAILURE_LIMIT,
+  IP_WINDOW_MINUTES,
+  loginDelaySeconds,
+  retryMessage,
+} from "./lib/lockout.js";
+import { csrfProtection, issueCsrfToken } from "./lib/csrf.js";
+import { v, validate, fieldError } from "./lib/validation.js";
+import {
+  createVerificationToken,
+  readVerificationToken,
+  checkVerificationToken,
+} from "./lib/verification.js";
+import {
+  generateTotpSecret,
+  checkTotp,
+  totpUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  TWO_FACTOR_LOGIN_MINUTES,
+} from "./lib/totp.js";
+import QRCode from "qrcode";
+import {
+  GUARDIAN_CONSENT_AGE,
+  loadSafetyRules,
+  ageOn,
+  ageBand,
+  ageBandSql,
+  canMessage,
+  sessionBlockReason,
+} from "./lib/safety.js";
+import {
+  REPORT_CATEGORIES,
+  REPORT_STATUSES,
+  REPORT_TRANSITIONS,
+  MODERATION_ACTIONS,
+  MAX_SUSPENSION_DAYS,
+  canTransition,
+  restrictionMessage,
+} from "./lib/moderation.js";
+import {
+  AUDIT_PAGE_SIZE,
+  AUDIT_MAX_PAGE_SIZE,
+  AUDIT_EXPORT_LIMIT,
+  auditDiff,
+  auditFilterSql,
+  toCsv,
+} from "./lib/audit.js";
+import { ADMIN_ROLES, rolePermissions, roleCan } from "./lib/roles.js";
+import {
+  RESTORE_WINDOW_DAYS,
+  DELETED_USER_NAME,
+  RESTORABLE_COLUMNS,
+  EXPORT_SECTIONS,
+  activeSql,
+  deletedEmail,
+} from "./lib/accounts.js";
+import { createZip } from "./lib/zip.js";
+import {
+  SKILL_LIST_QUERY,
+  UNCATEGORIZED,
+  PROFICIENCY_LEVELS,
+  MAX_YEARS_EXPERIENCE,
+  CREDENTIAL_TYPES,
+  levelRankSql,
+  findSkillByName,
+  mergeSkills,
+} from "./lib/skills.js";
+import crypto from "crypto";
+
+// app and db setup
+const app = express();
+const port = process.env.PORT || 8080;
+const { Pool } = pg;
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PgSession = pgSession(session);
+const SESSION_DURATIONS = [30, 45, 60, 90, 120];
+const DEFAULT_DURATION_MINUTES = 60;
+const COMPLETION_GRACE_HOURS = 48;
+const LOCATION_TYPES = ["Online", "In-Person"];
+const AVATAR_STYLES = ["bottts", "avataaars", "identicon", "initials", "micah"];
+const RESET_TOKEN_MINUTES = 60;
+const RESET_LIMIT_PER_EMAIL = 3;
+const RESET_LIMIT_PER_IP = 10;
+const safetyRules = loadSafetyRules();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+// email setup
+const appUrl = process.env.APP_URL || `http://localhost:${port}`;
+const notifier = createNotifier({
+  pool,
+  transport: createMailTransport(process.env, pool),
+  appUrl,
+  from: process.env.MAIL_FROM,
+  viewsDir: path.join(__dirname, "views"),
+});
+
+// cross-origin requests are only allowed from these (comma separated CORS_ORIGINS)
+const allowedOrigins = (process.env.CORS_ORIGINS || appUrl)
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+// the chat socket is opened by the app's own pages and by the same allowed origins
+const socketOrigins = [...new Set([appUrl, ...allowedOrigins])];
+
+// extra protected admin account, on top of users flagged is_protected (ROOT_ADMIN_EMAIL)
+const rootAdminEmail = (process.env.ROOT_ADMIN_EMAIL || "")
+  .trim()
+  .toLowerCase();
+
+// only trust X-Forwarded-For when running behind a proxy (TRUST_PROXY), otherwise
+// clients could pick their own ip for rate limits, login attempts and the audit log
+// accepts true, a hop count, or an express trust setting such as "loopback"
+function trustProxySetting(value) {
+  if (value === undefined || value === "" || value === "false") return false;
+  if (value === "true") return true;
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+app.set("trust proxy", trustProxySetting(process.env.TRUST_PROXY));
+
+// view engine setup
+app.set("view engine", "ejs");
+app.set("views", path.join(__dirname, "views"));
+
+// session setup (the secret also signs email verification links)
+const sessionSecret =
+  process.env.SESSION_SECRET || "a-long-random-string-placeholder";
+// guardian links get their own key so a verify-email token can't stand in for one
+const guardianSecret = `${sessionSecret}:guardian`;
+// and so do links to restore a deleted account
+const restoreSecret = `${sessionSecret}:restore`;
+const sessionMiddleware = session({
+  store: new PgSession({
+    pool: pool,
+    tableName: "session",
+  }),
+  secret: sessionSecret,
+  resave: false,
+  saveUninitialized: false,
+  cookie: {
+    maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+    secure: "auto",
+    sameSite: "lax", // not sent on cross-site requests such as a /ws upgrade from another page
+  },
+});
+app.use(sessionMiddleware);
+
+// standard middleware
+app.use(bodyParser.urlencoded({ extended: true }));
+app.use(bodyParser.json());
+if (process.env.NODE_ENV !== "test") app.use(morgan("combined"));
+app.use(
+  cors({
+    origin: allowedOrigins,
+    credentials: true,
+    allowedHeaders: ["Content-Type", "X-CSRF-Token"],
+  })
+);
+app.use(express.static(path.join(__dirname, "public")));
+app.use(csrfProtection);
+
+// auth middleware
+// suspension and bans are checked on every request so they apply to open sessions
+// a closed (deactivated or deleted) account counts as logged out
+// the admin role comes from the same read, never from the session, so demotions apply at once
+async function isAuthenticated(req, res, next) {
+  if (!req.session.user) return notLoggedIn(req, res);
+  let adminRole;
+  let band;
+  try {
+    const result = await pool.query(
+      "SELECT admin_role, date_of_birth, suspended_until, banned_at, deactivated_at, deleted_at FROM Users WHERE user_id = $1",
+      [req.session.user.id]
+    );
+    const user = result.rows[0];
+    if (!user || user.deactivated_at || user.deleted_at) {
+      delete req.session.user;
+      return notLoggedIn(req, res);
+    }
+    const restriction = restrictionMessage(user);
+    if (restriction) {
+      delete req.session.user;
+      if (req.originalUrl.startsWith("/api/"))
+        return res.status(403).json({ message: restriction });
+      return res.status(403).send(restriction);
+    }
+    adminRole = user.admin_role;
+    band = ageBand(ageOn(user.date_of_birth));
+  } catch (error) {
+    return res.status(500).json({ message: "Server error." });
+  }
+  req.user = { ...req.session.user, adminRole, ageBand: band };
+  next();
+}
+
+// the logged-in user for pages guests can see too, with the admin role from the db
+async function currentViewer(req) {
+  if (!req.session.user) return null;
+  const result = await pool.query(
+    "SELECT admin_role FROM Users WHERE user_id = $1",
+    [req.session.user.id]
+  );
+  const adminRole = result.rows[0] ? result.rows[0].admin_role : null;
+  return { ...req.session.user, adminRole };
+}
+
+function notLoggedIn(req, res) {
+  if (req.originalUrl.startsWith("/api/"))
+    return res.status(401).json({ message: "Unauthorized. Please log in." });
+  res.redirect("/");
+}
+
+// admin middleware; requireAdmin("manage_skills") needs that permission, requireAdmin() any admin role
+// the role is read from the db so a change applies on the next request
+// admins must have two-factor authentication on before using admin tools
+function requireAdmin(permission) {
+  return async (req, res, next) => {
+    const api = req.originalUrl.startsWith("/api/");
+    let role = null;
+    if (req.session.user) {
+      try {
+        const result = await pool.query(
+          "SELECT admin_role FROM Users WHERE user_id = $1",
+          [req.session.user.id]
+        );
+        role = result.rows[0] ? result.rows[0].admin_role : null;
+      } catch (error) {
+        return res.status(500).json({ message: "Server error." });
+      }
+    }
+
+    if (!role) {
+      if (!api) return res.redirect("/");
+      return res
+        .status(403)
+        .json({ message: "Access denied. Administrator privileges required." });
+    }
+    if (!req.session.user.twoFactor) {
+      if (api)
+        return res.status(403).json({
+          message: "Set up two-factor authentication to use admin tools.",
+        });
+      return res.redirect("/profile/edit#twoFactor");
+    }
+    const permissions = rolePermissions(role);
+    if (permission && !permissions.includes(permission)) {
+      if (!api) return res.redirect("/admin");
+      return res.status(403).json({
+        message: "Access denied. Your admin role doesn't allow this.",
+      });
+    }
+
+    req.user = { ...req.session.user, adminRole: role, permissions };
+    next();
+  };
+}
+
+// accounts other admins can't demote or delete
+function isProtectedAccount(user) {
+  return (
+    user.is_protected ||
+    (rootAdminEmail !== "" && user.email.toLowerCase() === rootAdminEmail)
+  );
+}
+
+// verified email middleware (use after isAuthenticated)
+// the session flag can be stale if the link was opened elsewhere, so recheck the db
+async function isVerified(req, res, next) {
+  if (req.user.emailVerified) return next();
+  try {
+    const result = await pool.query(
+      "SELECT email_verified_at FROM Users WHERE user_id = $1",
+      [req.user.id]
+    );
+    if (result.rows[0] && result.rows[0].email_verified_at) {
+      req.session.user.emailVerified = true;
+      return next();
+    }
+    res
+      .status(403)
+      .json({ message: "Please verify your email address first." });
+  } catch (error) {
+    res.status(500).json({ message: "Server error." });
+  }
+}
+
+// guardian consent middleware (use after isAuthenticated)
+// under-13 accounts wait for a guardian's approval; recheck in case it just arrived
+async function hasGuardianConsent(req, res, next) {
+  if (!req.user.needsGuardianConsent) return next();
+  try {
+    const result = await pool.query(
+      "SELECT guardian_consent_at, date_of_birth FROM Users WHERE user_id = $1",
+      [req.user.id]
+    );
+    const user = result.rows[0];
+    if (user && !needsGuardianConsent(user)) {
+      req.session.user.needsGuardianConsent = false;
+      return next();
+    }
+    res.status(403).json({
+      message: "A parent or guardian needs to approve your account first.",
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error." });
+  }
+}
+
+// under-13 without a guardian's approval
+function needsGuardianConsent(user) {
+  return (
+    !user.guardian_consent_at &&
+    ageOn(user.date_of_birth) < GUARDIAN_CONSENT_AGE
+  );
+}
+
+// age band of the logged-in user, worked out from the date of birth on each request
+// (isAuthenticated reads it) so a birthday applies straight away, not at the next login
+async function currentAgeBand(req) {
+  if (req.user && req.user.ageBand !== undefined) return req.user.ageBand;
+  const result = await pool.query(
+    "SELECT date_of_birth FROM Users WHERE user_id = $1",
+    [req.session.user.id]
+  );
+  return ageBand(ageOn(result.rows[0].date_of_birth));
+}
+
+// either user has blocked the other
+async function isBlockedBetween(userId, otherId) {
+  const result = await pool.query(
+    `SELECT 1 FROM User_Blocks
+       WHERE (blocker_id = $1 AND blocked_id = $2) OR (blocker_id = $2 AND blocked_id = $1)`,
+    [userId, otherId]
+  );
+  return result.rowCount > 0;
+}
+
+// age-band and in-person limits on a session between the logged-in user and otherId
+async function sessionSafetyReason(req, otherId, locationType) {
+  const result = await pool.query(
+    "SELECT date_of_birth FROM Users WHERE user_id = $1",
+    [otherId]
+  );
+  return sessionBlockReason(
+    safetyRules,
+    await currentAgeBand(req),
+    ageBand(ageOn(result.rows[0].date_of_birth)),
+    locationType
+  );
+}
+
+// sql: user row has no block with the user in userParam, either way
+function notBlockedSql(alias, userParam) {
+  return `NOT EXISTS (SELECT 1 FROM User_Blocks ub
+    WHERE (ub.blocker_id = ${userParam} AND ub.blocked_id = ${alias}.user_id)
+       OR (ub.blocker_id = ${alias}.user_id AND ub.blocked_id = ${userParam}))`;
+}
+
+// same answer both ways, so nobody learns who blocked whom
+const BLOCKED_MESSAGE = "You can't contact this user.";
+
+// uniform permission error
+function forbid(res) {
+  return res.status(403).json({ message: "Permission denied." });
+}
+
+// load the session in :id or body.sessionId and check the policy for action
+function authorizeSession(action) {
+  return async (req, res, next) => {
+    const sessionId = parseInt(req.params.id || req.body.sessionId);
+    if (!sessionId)
+      return res.status(400).json({ message: "Missing session." });
+    try {
+      const result = await pool.query(
+        "SELECT * FROM Sessions WHERE session_id = $1",
+        [sessionId]
+      );
+      if (result.rows.length === 0)
+        return res.status(404).json({ message: "Not found." });
+      if (!canActOnSession(req.user, action, result.rows[0]))
+        return forbid(res);
+      req.sessionRecord = result.rows[0];
+      next();
+    } catch (error) {
+      res.status(500).json({ message: "Server error." });
+    }
+  };
+}
+
+// check the policy for action against the :id user
+function authorizeUser(action) {
+  return (req, res, next) =>
+    canActOnUser(req.user, action, req.params.id) ? next() : forbid(res);
+}
+
+// csrf token for api clients that don't render a page first
+app.get("/api/csrf-token", (req, res) => {
+  res.status(200).json({ csrfToken: issueCsrfToken(req) });
+});
+
+// landing page
+app.get("/", (req, res) => {
+  if (req.session.user) {
+    return res.redirect("/dashboard");
+  }
+  res.render("landing");
+});
+
+// about page
+app.get("/about", async (req, res) => {
+  try {
+    res.render("about", {
+      pageTitle: "About SkillSwap",
+      user: await currentViewer(req),
+    });
+  } catch (error) {
+    res.status(500).send("Error loading page.");
+  }
+});
+
+// dashboard
+app.get("/dashboard", async (req, res) => {
+  let user = req.session.user || null;
+  let topTeachers = [];
+
+  try {
+    user = await currentViewer(req);
+    const topTeachersRes = await pool.query(
+      `SELECT u.user_id, u.user_name, u.avatar_style, COUNT(r.rating_id) as like_count
+                 FROM Users u
+                 JOIN Ratings r ON u.user_id = r.ratee_id
+                 WHERE r.like_status = TRUE AND ${activeSql("u")}
+                 GROUP BY u.user_id, u.user_name, u.avatar_style
+                 ORDER BY like_count DESC LIMIT 3`
+    );
+    topTeachers = topTeachersRes.rows;
+  } catch (error) {
+    console.error("db error:", error.message);
+  }
+
+  res.render("index", { user, topTeachers });
+});
+
+// login redirect
+app.get("/login", (req, res) => {
+  res.redirect("/dashboard");
+});
+
+// register page
+app.get("/register", async (req, res) => {
+  if (req.session.user) return res.redirect("/");
+  res.render("register", { pageTitle: "Register", user: null });
+});
+
+// handle registration
+app.post(
+  "/api/register",
+  validate({
+    body: {
+      email: v.email(),
+      password: v.password(),
+      userName: v.string({ max: 100 }),
+      dateOfBirth: v.date({ past: true, maxAge: 120 }),
+      gradeLevel: v.string({ max: 20 }).optional(null),
+      schoolCollege: v.string({ max: 100 }).optional(null),
+      avatarStyle: v.oneOf(AVATAR_STYLES).optional("bottts"),
+      guardianEmail: v.email().optional(null),
+    },
+  }),
+  async (req, res) => {
+    const {
+      email,
+      password,
+      userName,
+      dateOfBirth,
+      gradeLevel,
+      schoolCollege,
+      avatarStyle,
+    } = req.body;
+
+    // under-13s need a parent or guardian to approve the account
+    const isChild = ageOn(dateOfBirth) < GUARDIAN_CONSENT_AGE;
+    const guardianEmail = isChild ? req.body.guardianEmail : null;
+    if (isChild && !guardianEmail)
+      return fieldError(
+        res,
+        "guardianEmail",
+        "required",
+        `A parent or guardian's email is required for users under ${GUARDIAN_CONSENT_AGE}.`
+      );
+    if (isChild && guardianEmail.toLowerCase() === email.toLowerCase())
+      return fieldError(
+        res,
+        "guardianEmail",
+        "invalid_choice",
+        "Use your parent or guardian's own email address."
+      );
+
+    try {
+      const checkUser = await pool.query(
+        "SELECT user_id FROM Users WHERE email = $1",
+        [email]
+      );
+      if (checkUser.rows.length > 0)
+        return res.status(409).json({ message: "Email already registered." });
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+      const result = await pool.query(
+        `INSERT INTO Users (email, password_hash, user_name, date_of_birth, grade_level, school_college, avatar_style, verification_sent_at,
+             guardian_email, guardian_consent_sent_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), $8, CASE WHEN $8::varchar IS NULL THEN NULL ELSE NOW() END)
+             RETURNING user_id, user_name, email, guardian_email`,
+        [
+          email,
+          hashedPassword,
+          userName,
+          dateOfBirth,
+          gradeLevel,
+          schoolCollege,
+          avatarStyle,
+          guardianEmail,
+        ]
+      );
+      res.status(201).json({
+        message: isChild
+          ? "Registered successfully. Check your email to verify your account, and ask your parent or guardian to approve it."
+          : "Registered successfully. Check your email to verify your account.",
+        user: {
+          user_id: result.rows[0].user_id,
+          user_name: result.rows[0].user_name,
+          email: result.rows[0].email,
+        },
+      });
+
+      sendVerificationEmail(result.rows[0]);
+      if (isChild) sendGuardianConsentEmail(result.rows[0]);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error." });
+    }
+  }
+);
+
+// email a fresh verification link
+async function sendVerificationEmail(user) {
+  const token = createVerificationToken(
+    sessionSecret,
+    user.user_id,
+    user.email
+  );
+  await notifier.send("verify_email", user.user_id, {
+    verifyUrl: `${appUrl}/verify-email/${token}`,
+  });
+}
+
+// verification link
+app.get(
+  "/verify-email/:token",
+  validate({ params: { token: v.string({ max: 200 }) } }),
+  async (req, res) => {
+    const { token } = req.params;
+    const invalid = "This verification link is invalid or has expired.";
+    const userId = readVerificationToken(token);
+    if (!userId) return res.status(400).send(invalid);
+
+    try {
+      const result = await pool.query(
+        "SELECT email FROM Users WHERE user_id = $1",
+        [userId]
+      );
+      if (
+        result.rows.length === 0 ||
+        !checkVerificationToken(sessionSecret, token, result.rows[0].email)
+      )
+        return res.status(400).send(invalid);
+
+      await pool.query(
+        "UPDATE Users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE user_id = $1",
+        [userId]
+      );
+      if (req.session.user && req.session.user.id === userId)
+        req.session.user.emailVerified = true;
+      res.redirect("/dashboard");
+    } catch (e) {
+      console.error(e);
+      res.status(500).send("Error.");
+    }
+  }
+);
+
+// email the guardian a consent link (signed over the guardian's address)
+async function sendGuardianConsentEmail(user) {
+  const token = createVerificationToken(
+    guardianSecret,
+    user.user_id,
+    user.guardian_email
+  );
+  await notifier.send("guardian_consent", user.user_id, {
+    childName: user.user_name,
+    consentUrl: `${appUrl}/guardian-consent/${token}`,
+  });
+}
+
+// find the child account a guardian consent link is for
+async function findConsentUser(token) {
+  const userId = readVerificationToken(token);
+  if (!userId) return null;
+  const result = await pool.query(
+    "SELECT user_id, user_name, guardian_email, guardian_consent_at FROM Users WHERE user_id = $1",
+    [userId]
+  );
+  const user = result.rows[0];
+  if (
+    !user ||
+    !user.guardian_email ||
+    !checkVerificationToken(guardianSecret, token, user.guardian_email)
+  )
+    return null;
+  return user;
+}
+
+// guardian consent page
+app.get(
+  "/guardian-consent/:token",
+  validate({ params: { token: v.string({ max: 200 }) } }),
+  async (req, res) => {
+    try {
+      const child = await findConsentUser(req.params.token);
+      if (!child)
+        return res
+          .status(400)
+          .send("This approval link is invalid or has expired.");
+      res.render("guardian_consent", {
+        token: req.params.token,
+        childName: child.user_name,
+        approved: Boolean(child.guardian_consent_at),
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).send("Error.");
+    }
+  }
+);
+
+// guardian approves the account
+app.post(
+  "/guardian-consent/:token",
+  validate({ params: { token: v.string({ max: 200 }) } }),
+  async (req, res) => {
+    try {
+      const child = await findConsentUser(req.params.token);
+      if (!child)
+        return res
+          .status(400)
+          .send("This approval link is invalid or has expired.");
+
+      const result = await pool.query(
+        `UPDATE Users SET guardian_consent_at = NOW()
+           WHERE user_id = $1 AND guardian_consent_at IS NULL RETURNING user_id`,
+        [child.user_id]
+      );
+      if (result.rowCount > 0)
+        createNotification(
+          child.user_id,
+          "guardian_consent",
+          "Your parent or guardian approved your account.",
+          "/dashboard"
+        );
+      res.render("guardian_consent", {
+        token: req.params.token,
+        childName: child.user_name,
+        approved: true,
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).send("Error.");
+    }
+  }
+);
+
+// send (or resend) the guardian approval email, optionally to a new address
+app.post(
+  "/api/guardian-consent/request",
+  isAuthenticated,
+  validate({ body: { guardianEmail: v.email().optional(null) } }),
+  async (req, res) => {
+    const { guardianEmail } = req.body;
+    if (
+      guardianEmail &&
+      guardianEmail.toLowerCase() === req.user.email.toLowerCase()
+    )
+      return fieldError(
+        res,
+        "guardianEmail",
+        "invalid_choice",
+        "Use your parent or guardian's own email address."
+      );
+
+    try {
+      const check = await pool.query(
+        "SELECT date_of_birth, guardian_email, guardian_consent_at FROM Users WHERE user_id = $1",
+        [req.user.id]
+      );
+      if (!needsGuardianConsent(check.rows[0]))
+        return res
+          .status(400)
+          .json({ message: "Your account doesn't need approval." });
+      if (!guardianEmail && !check.rows[0].guardian_email)
+        return fieldError(
+          res,
+          "guardianEmail",
+          "required",
+          "Guardian email is required."
+        );
+
+      // claim the send slot first so rapid repeats can't slip through
+      const result = await pool.query(
+        `UPDATE Users SET guardian_email = COALESCE($2, guardian_email), guardian_consent_sent_at = NOW()
+           WHERE user_id = $1
+             AND (guardian_consent_sent_at IS NULL OR guardian_consent_sent_at < NOW() - INTERVAL '1 minute')
+           RETURNING user_id, user_name, guardian_email`,
+        [req.user.id, guardianEmail]
+      );
+      if (result.rowCount === 0)
+        return res
+          .status(429)
+          .json({ message: "Please wait a minute before asking again." });
+
+      res.status(200).json({ message: "Approval email sent." });
+      sendGuardianConsentEmail(result.rows[0]);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// resend verification link (logged in, or by email from the register page)
+app.post(
+  "/api/verify-email/resend",
+  validate({ body: { email: v.email().optional() } }),
+  async (req, res) => {
+    const sessionUser = req.session.user;
+    if (!sessionUser && !req.body.email)
+      return fieldError(res, "email", "required", "Email is required.");
+
+    try {
+      // claim the send slot first so rapid repeats can't slip through
+      const result = await pool.query(
+        `UPDATE Users SET verification_sent_at = NOW()
+           WHERE ${
+             sessionUser ? "user_id" : "email"
+           } = $1 AND email_verified_at IS NULL
+             AND (verification_sent_at IS NULL OR verification_sent_at < NOW() - INTERVAL '1 minute')
+           RETURNING user_id, email`,
+        [sessionUser ? sessionUser.id : req.body.email]
+      );
+      const user = result.rows[0];
+
+      if (sessionUser && !user) {
+        const check = await pool.query(
+          "SELECT email_verified_at FROM Users WHERE user_id = $1",
+          [sessionUser.id]
+        );
+        if (check.rows[0].email_verified_at)
+          return res.status(400).json({ message: "Email already verified." });
+        return res
+          .status(429)
+          .json({ message: "Please wait a minute before asking again." });
+      }
+
+      // same answer either way so the register page can't be used to probe emails
+      res.status(200).json({
+        message: "If your account needs it, a new link is on its way.",
+      });
+      if (user) sendVerificationEmail(user);
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// record a failed, blocked or suspicious login
+function recordLoginAttempt(email, userId, ip, outcome) {
+  return pool.query(
+    "INSERT INTO Login_Attempts (email, user_id, ip_address, outcome) VALUES ($1, $2, $3, $4)",
+    [email, userId, ip, outcome]
+  );
+}
+
+// finish a login once every factor has been checked
+async function completeLogin(req, user) {
+  // success after a run of failures is worth a look
+  if (user.failed_login_count >= LOCKOUT_THRESHOLD)
+    await recordLoginAttempt(
+      user.email,
+      user.user_id,
+      req.ip,
+      "success_after_lockout"
+    );
+  if (user.failed_login_count > 0)
+    await pool.query(
+      "UPDATE Users SET failed_login_count = 0, locked_until = NULL WHERE user_id = $1",
+      [user.user_id]
+    );
+  // logging in again reopens a deactivated account
+  if (user.deactivated_at)
+    await pool.query(
+      "UPDATE Users SET deactivated_at = NULL WHERE user_id = $1",
+      [user.user_id]
+    );
+
+  delete req.session.pendingLogin;
+  req.session.user = {
+    id: user.user_id,
+    name: user.user_name,
+    email: user.email,
+    avatarStyle: user.avatar_style || "bottts",
+    emailVerified: Boolean(user.email_verified_at),
+    twoFactor: Boolean(user.totp_enabled_at),
+    needsGuardianConsent: needsGuardianConsent(user),
+  };
+}
+
+// count a failed password or code towards the account's back-off
+// the count is bumped in the db, and the row stays locked until the back-off is set,
+// so guesses sent in parallel can't overwrite each other's increments
+async function recordLoginFailure(req, user, outcome) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      "UPDATE Users SET failed_login_count = failed_login_count + 1 WHERE user_id = $1 RETURNING failed_login_count",
+      [user.user_id]
+    );
+    const failures = result.rows[0].failed_login_count;
+    await client.query(
+      "UPDATE Users SET locked_until = NOW() + make_interval(secs => $1::int) WHERE user_id = $2",
+      [loginDelaySeconds(failures), user.user_id]
+    );
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+  await recordLoginAttempt(user.email, user.user_id, req.ip, outcome);
+}
+
+// check a totp or recovery code; returns which one matched or null
+// an accepted totp step is saved so the same code can't be used twice
+async function checkSecondFactor(userId, code) {
+  const result = await pool.query(
+    "SELECT totp_secret, totp_last_step FROM Users WHERE user_id = $1",
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user || !user.totp_secret) return null;
+
+  const lastStep =
+    user.totp_last_step === null ? null : Number(user.totp_last_step);
+  const step = checkTotp(user.totp_secret, code.replace(/\s/g, ""), lastStep);
+  if (step !== null) {
+    const saved = await pool.query(
+      `UPDATE Users SET totp_last_step = $2
+         WHERE user_id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)
+         RETURNING user_id`,
+      [userId, step]
+    );
+    return saved.rowCount > 0 ? "totp" : null;
+  }
+
+  const used = await pool.query(
+    `UPDATE Recovery_Codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING code_id`,
+    [userId, hashRecoveryCode(code)]
+  );
+  return used.rowCount > 0 ? "recovery" : null;
+}
+
+// unused recovery codes a user has left
+async function recoveryCodesLeft(userId) {
+  const result = await pool.query(
+    "SELECT COUNT(*)::int AS count FROM Recovery_Codes WHERE user_id = $1 AND used_at IS NULL",
+    [userId]
+  );
+  return result.rows[0].count;
+}
+
+// replace a user's recovery codes; returns the plain codes to show once
+async function replaceRecoveryCodes(client, userId) {
+  const codes = generateRecoveryCodes();
+  await client.query("DELETE FROM Recovery_Codes WHERE user_id = $1", [userId]);
+  await client.query(
+    `INSERT INTO Recovery_Codes (user_id, code_hash)
+       SELECT $1, UNNEST($2::text[])`,
+    [userId, codes.map(hashRecoveryCode)]
+  );
+  return codes;
+}
+
+// handle login
+// accounts with two-factor on get a pending login that /api/login/verify finishes
+app.post(
+  "/api/login",
+  validate({
+    body: {
+      email: v.email(),
+      password: v.string({ max: 200, trim: false }),
+    },
+  }),
+  async (req, res) => {
+    const { email, password } = req.body;
+
+    try {
+      // too many failures from this ip (blocked attempts don't extend the block)
+      const ipFailures = await pool.query(
+        `SELECT COUNT(*)::int AS count FROM Login_Attempts
+           WHERE ip_address = $1 AND outcome <> 'ip_blocked'
+             AND attempted_at > NOW() - make_interval(mins => $2::int)`,
+        [req.ip, IP_WINDOW_MINUTES]
+      );
+      if (ipFailures.rows[0].count >= IP_FAILURE_LIMIT) {
+        await recordLoginAttempt(email, null, req.ip, "ip_blocked");
+        res.set("Retry-After", String(IP_WINDOW_MINUTES * 60));
+        return res
+          .status(429)
+          .json({ message: retryMessage(IP_WINDOW_MINUTES * 60) });
+      }
+
+      const result = await pool.query(
+        `SELECT user_id, email, password_hash, user_name, admin_role, avatar_style, failed_login_count, email_verified_at, totp_enabled_at,
+              date_of_birth, guardian_consent_at, suspended_until, banned_at, deactivated_at, deleted_at,
+              CEIL(EXTRACT(EPOCH FROM (locked_until - NOW())))::int AS locked_seconds
+           FROM Users WHERE email = $1`,
+        [email]
+      );
+      const user = result.rows[0];
+      if (!user) {
+        await recordLoginAttempt(email, null, req.ip, "unknown_email");
+        return res.status(401).json({ message: "Invalid credentials." });
+      }
+
+      // still backing off or locked
+      if (user.locked_seconds > 0) {
+        await recordLoginAttempt(email, user.user_id, req.ip, "locked");
+        res.set("Retry-After", String(user.locked_seconds));
+        return res
+          .status(429)
+          .json({ message: retryMessage(user.locked_seconds) });
+      }
+
+      if (!(await bcrypt.compare(password, user.password_hash))) {
+        await recordLoginFailure(req, user, "bad_password");
+        return res.status(401).json({ message: "Invalid credentials." });
+      }
+
+      // suspended or banned (only told once the password is right)
+      const restriction = restrictionMessage(user);
+      if (restriction) return res.status(403).json({ message: restriction });
+
+      // password is right, but the code is still needed
+      if (user.totp_enabled_at) {
+        delete req.session.user;
+        req.session.pendingLogin = {
+          userId: user.user_id,
+          expires: Date.now() + TWO_FACTOR_LOGIN_MINUTES * 60 * 1000,
+        };
+        return res.status(200).json({
+          message: "Enter the code from your authenticator app.",
+          twoFactorRequired: true,
+        });
+      }
+
+      await completeLogin(req, user);
+      res
+        .status(200)
+        .json({ message: "Login successful.", user: req.session.user });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Login error." });
+    }
+  }
+);
+
+// second login step: totp or recovery code
+app.post(
+  "/api/login/verify",
+  validate({ body: { code: v.string({ max: 20 }) } }),
+  async (req, res) => {
+    const pending = req.session.pendingLogin;
+    if (!pending || pending.expires < Date.now()) {
+      delete req.session.pendingLogin;
+      return res
+        .status(401)
+        .json({ message: "Your login has expired. Please log in again." });
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT user_id, email, user_name, admin_role, avatar_style, failed_login_count, email_verified_at, totp_enabled_at,
+              date_of_birth, guardian_consent_at, suspended_until, banned_at, deactivated_at, deleted_at,
+              CEIL(EXTRACT(EPOCH FROM (locked_until - NOW())))::int AS locked_seconds
+           FROM Users WHERE user_id = $1`,
+        [pending.userId]
+      );
+      const user = result.rows[0];
+      if (!user || !user.totp_enabled_at || user.deleted_at) {
+        delete req.session.pendingLogin;
+        return res
+          .status(401)
+          .json({ message: "Your login has expired. Please log in again." });
+      }
+
+      // code guesses share the password back-off
+      if (user.locked_seconds > 0) {
+        await recordLoginAttempt(user.email, user.user_id, req.ip, "locked");
+        res.set("Retry-After", String(user.locked_seconds));
+        return res
+          .status(429)
+          .json({ message: retryMessage(user.locked_seconds) });
+      }
+
+      const factor = await checkSecondFactor(user.user_id, req.body.code);
+      if (!factor) {
+        await recordLoginFailure(req, user, "bad_2fa_code");
+        return fieldError(res, "code", "invalid_code", "Invalid code.");
+      }
+      const restriction = restrictionMessage(user);
+      if (restriction) {
+        delete req.session.pendingLogin;
+        return res.status(403).json({ message: restriction });
+      }
+
+      await completeLogin(req, user);
+      res.status(200).json({
+        message: "Login successful.",
+        user: req.session.user,
+        // so the page can warn when codes are running out
+        recoveryCodesLeft:
+          factor === "recovery" ? await recoveryCodesLeft(user.user_id) : null,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Login error." });
+    }
+  }
+);
+
+// handle logout
+app.post("/api/logout", (req, res) => {
+  if (req.session)
+    req.session.destroy((err) => {
+      if (err) return res.status(500).json({ message: "Logout failed." });
+      res.status(200).json({ message: "Logout successful." });
+    });
+  else res.status(200).json({ message: "No session." });
+});
+
+// two-factor status for the profile page
+app.get("/api/2fa", isAuthenticated, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT totp_enabled_at FROM Users WHERE user_id = $1",
+      [req.user.id]
+    );
+    res.status(200).json({
+      enabled: Boolean(result.rows[0].totp_enabled_at),
+      required: Boolean(req.user.adminRole),
+      recoveryCodesLeft: await recoveryCodesLeft(req.user.id),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Error loading two-factor settings." });
+  }
+});
+
+// start two-factor setup: new secret kept in the session until confirmed
+app.post("/api/2fa/setup", isAuthenticated, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT totp_enabled_at FROM Users WHERE user_id = $1",
+      [req.user.id]
+    );
+    if (result.rows[0].totp_enabled_at)
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already on." });
+
+    const secret = generateTotpSecret();
+    req.session.totpSetup = secret;
+    res.status(200).json({
+      secret,
+      qrCode: await QRCode.toDataURL(totpUri(secret, req.user.email)),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Error starting two-factor setup." });
+  }
+});
+
+// confirm setup with a code from the app; recovery codes are shown once
+app.post(
+  "/api/2fa/enable",
+  isAuthenticated,
+  validate({ body: { code: v.string({ max: 20 }) } }),
+  async (req, res) => {
+    const secret = req.session.totpSetup;
+    if (!secret)
+      return res.status(400).json({ message: "Start two-factor setup first." });
+
+    const step = checkTotp(secret, req.body.code.replace(/\s/g, ""));
+    if (step === null)
+      return fieldError(res, "code", "invalid_code", "Invalid code.");
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await client.query(
+        `UPDATE Users SET totp_secret = $2, totp_enabled_at = NOW(), totp_last_step = $3
+           WHERE user_id = $1 AND totp_enabled_at IS NULL`,
+        [req.user.id, secret, step]
+      );
+      if (result.rowCount === 0) {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is already on." });
+      }
+      const recoveryCodes = await replaceRecoveryCodes(client, req.user.id);
+      await client.query("COMMIT");
+
+      delete req.session.totpSetup;
+      req.session.user.twoFactor = true;
+      res.status(200).json({
+        message: "Two-factor authentication is on.",
+        recoveryCodes,
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error(error);
+      res.status(500).json({ message: "Error enabling two-factor." });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// new recovery codes (old ones stop working)
+app.post(
+  "/api/2fa/recovery-codes",
+  isAuthenticated,
+  validate({ body: { code: v.string({ max: 20 }) } }),
+  async (req, res) => {
+    const client = await pool.connect();
+    try {
+      if (!(await checkSecondFactor(req.user.id, req.body.code)))
+        return fieldError(res, "code", "invalid_code", "Invalid code.");
+
+      await client.query("BEGIN");
+      const recoveryCodes = await replaceRecoveryCodes(client, req.user.id);
+      await client.query("COMMIT");
+      res
+        .status(200)
+        .json({ message: "New recovery codes created.", recoveryCodes });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error(error);
+      res.status(500).json({ message: "Error creating recovery codes." });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// turn two-factor off (needs the password and a code; admins can't)
+app.post(
+  "/api/2fa/disable",
+  isAuthenticated,
+  validate({
+    body: {
+      password: v.string({ max: 200, trim: false }),
+      code: v.string({ max: 20 }),
+    },
+  }),
+  async (req, res) => {
+    if (req.user.adminRole)
+      return res.status(403).json({
+        message: "Administrators must keep two-factor authentication on.",
+      });
+
+    try {
+      const result = await pool.query(
+        "SELECT password_hash FROM Users WHERE user_id = $1",
+        [req.user.id]
+      );
+      if (
+        !(await bcrypt.compare(req.body.password, result.rows[0].password_hash))
+      )
+        return fieldError(
+          res,
+          "password",
+          "invalid_password",
+          "Incorrect password."
+        );
+      if (!(await checkSecondFactor(req.user.id, req.body.code)))
+        return fieldError(res, "code", "invalid_code", "Invalid code.");
+
+      await pool.query(
+        `UPDATE Users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+           WHERE user_id = $1`,
+        [req.user.id]
+      );
+      await pool.query("DELETE FROM Recovery_Codes WHERE user_id = $1", [
+        req.user.id,
+      ]);
+      req.session.user.twoFactor = false;
+      res.status(200).json({ message: "Two-factor authentication is off." });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Error disabling two-factor." });
+    }
+  }
+);
+
+// does a password match the user's
+async function passwordMatches(userId, password) {
+  const result = await pool.query(
+    "SELECT password_hash FROM Users WHERE user_id = $1",
+    [userId]
+  );
+  return bcrypt.compare(password, result.rows[0].password_hash);
+}
+
+// cancel a closing account's upcoming sessions; returns their ids
+async function cancelUpcomingSessions(client, userId, reason) {
+  const result = await client.query(
+    `UPDATE Sessions SET status = CASE WHEN requester_id = $1 THEN 'Cancelled' ELSE 'Denied' END,
+           cancellation_reason = $2, calendar_sequence = calendar_sequence + 1, updated_at = NOW()
+       WHERE (provider_id = $1 OR requester_id = $1) AND status IN ('Requested', 'Confirmed')
+       RETURNING session_id`,
+    [userId, reason]
+  );
+  const ids = result.rows.map((r) => r.session_id);
+  await client.query(
+    "UPDATE Session_Proposals SET status = 'Withdrawn', responded_at = NOW() WHERE session_id = ANY($1) AND status = 'Pending'",
+    [ids]
+  );
+  return ids;
+}
+
+// tell the other side of each cancelled session (after commit)
+function notifyClosedAccountSessions(userId, sessionIds) {
+  for (const sessionId of sessionIds)
+    notifySession(sessionId, (details) => {
+      const otherId =
+        details.requester_id === userId
+          ? details.provider_id
+          : details.requester_id;
+      createNotification(
+        otherId,
+        `session_${details.status.toLowerCase()}`,
+        `Your ${details.skill_name} session was cancelled because the other person closed their account.`,
+        "/my_sessions"
+      );
+      notifier.send("session_cancelled", otherId, {
+        otherName:
+          details.requester_id === userId
+            ? details.requester_name
+            : details.provider_name,
+        skillName: details.skill_name,
+        sessionDateTime: details.session_date_time,
+        status: details.status,
+        reason: details.cancellation_reason,
+      });
+    });
+}
+
+// soft delete: personal details move to Deleted_Accounts for the restore window
+// and the row is anonymized in place, so other people's history keeps working
+// returns when the window closes, or null if the account was already deleted
+async function softDeleteUser(client, userId, deletedBy) {
+  const fields = RESTORABLE_COLUMNS.map((c) => `'${c}', ${c}`).join(", ");
+  const saved = await client.query(
+    `INSERT INTO Deleted_Accounts (user_id, original, deleted_by, restore_until)
+     SELECT user_id, jsonb_build_object(${fields}), $2, NOW() + make_interval(days => $3::int)
+       FROM Users WHERE user_id = $1 AND deleted_at IS NULL
+     RETURNING restore_until`,
+    [userId, deletedBy, RESTORE_WINDOW_DAYS]
+  );
+  if (saved.rows.length === 0) return null;
+
+  await client.query(
+    `UPDATE Users SET email = $2, password_hash = '', user_name = $3, date_of_birth = NULL,
+           grade_level = NULL, school_college = NULL, calendar_token = NULL, totp_secret = NULL,
+           totp_enabled_at = NULL, totp_last_step = NULL, guardian_email = NULL, admin_role = NULL,
+           reset_token_hash = NULL, reset_expires = NULL, deactivated_at = NULL, deleted_at = NOW()
+       WHERE user_id = $1`,
+    [userId, deletedEmail(userId), DELETED_USER_NAME]
+  );
+  await client.query(
+    "DELETE FROM session WHERE (sess::jsonb -> 'user' ->> 'id') = $1::text",
+    [userId]
+  );
+  return saved.rows[0].restore_until;
+}
+
+// put a deleted account's details back while the window is open
+// returns false if there is nothing to restore; a reused email raises a unique violation
+async function restoreDeletedUser(client, userId) {
+  const columns = RESTORABLE_COLUMNS.join(", ");
+  const saved = RESTORABLE_COLUMNS.map((c) => `r.${c}`).join(", ");
+  const result = await client.query(
+    `UPDATE Users u SET (${columns}) = (
+           SELECT ${saved}
+             FROM jsonb_populate_record(NULL::Users, d.original) r),
+         deleted_at = NULL
+       FROM Deleted_Accounts d
+       WHERE d.user_id = u.user_id AND u.user_id = $1 AND d.restore_until > NOW()
+       RETURNING u.user_id`,
+    [userId]
+  );
+  if (result.rows.length === 0) return false;
+  await client.query("DELETE FROM Deleted_Accounts WHERE user_id = $1", [
+    userId,
+  ]);
+  return true;
+}
+
+// everything we hold about a user, for "download my data"
+async function exportUserData(userId) {
+  const queries = {
+    profile: `SELECT user_id, email, user_name, date_of_birth, grade_level, school_college, avatar_style, timezone,
+                  email_opt_outs, email_verified_at, guardian_email, guardian_consent_at,
+                  totp_enabled_at IS NOT NULL AS two_factor_enabled, admin_role
+                FROM Users WHERE user_id = $1`,
+    skillsOffered: `SELECT s.skill_name, uso.is_virtual_only, uso.is_inperson_only, uso.proficiency_level,
+                  uso.years_experience, uso.description, uso.credential_type, uso.credential_detail
+                FROM User_Skills_Offered uso JOIN Skills s ON uso.skill_id = s.skill_id
+                WHERE uso.user_id = $1 ORDER BY s.skill_name`,
+    skillsSought: `SELECT s.skill_name, uss.is_virtual_only, uss.is_inperson_only, uss.target_level
+                FROM User_Skills_Sought uss JOIN Skills s ON uss.skill_id = s.skill_id
+                WHERE uss.user_id = $1 ORDER BY s.skill_name`,
+    availability: `SELECT day_of_week, start_time, end_time FROM Provider_Availability
+                WHERE user_id = $1 ORDER BY day_of_week, start_time`,
+    sessions: `SELECT s.session_id, s.skill_name, CASE WHEN s.provider_id = $1 THEN 'teaching' ELSE 'learning' END AS role,
+                  CASE WHEN s.provider_id = $1 THEN s.requester_name ELSE s.provider_name END AS with_user,
+                  s.session_date_time, s.duration_minutes, s.location_type, s.status, s.meeting_url,
+                  s.cancellation_reason, s.dispute_reason
+                FROM (${SESSION_DETAILS_QUERY}) s
+                WHERE s.provider_id = $1 OR s.requester_id = $1 ORDER BY s.session_date_time`,
+    messages: `SELECT m.message_id, CASE WHEN m.sender_id = $1 THEN 'sent' ELSE 'received' END AS direction,
+                  o.user_name AS with_user, m.message_text, m.timestamp, m.is_read
+                FROM Messages m
+                JOIN Users o ON o.user_id = CASE WHEN m.sender_id = $1 THEN m.receiver_id ELSE m.sender_id END
+                WHERE m.sender_id = $1 OR m.receiver_id = $1 ORDER BY m.timestamp, m.message_id`,
+    ratingsGiven: `SELECT r.session_id, u.user_name AS rated_user, r.like_status, r.feedback_text
+                FROM Ratings r JOIN Users u ON r.ratee_id = u.user_id
+                WHERE r.rater_id = $1 ORDER BY r.rating_id`,
+    ratingsReceived: `SELECT r.session_id, u.user_name AS rated_by, r.like_status, r.feedback_text
+                FROM Ratings r JOIN Users u ON r.rater_id = u.user_id
+                WHERE r.ratee_id = $1 ORDER BY r.rating_id`,
+  };
+  const results = await Promise.all(
+    EXPORT_SECTIONS.map((section) => pool.query(queries[section], [userId]))
+  );
+  const data = {};
+  EXPORT_SECTIONS.forEach((section, i) => {
+    data[section] =
+      section === "profile" ? results[i].rows[0] : results[i].rows;
+  });
+  return data;
+}
+
+// download my data, as one json file or a zip with a file per section
+app.get(
+  "/api/account/export",
+  isAuthenticated,
+  validate({ query: { format: v.oneOf(["json", "zip"]).optional("json") } }),
+  async (req, res) => {
+    try {
+      const data = await exportUserData(req.user.id);
+      const exportedAt = new Date();
+      const filename = `skillswap-my-data-${exportedAt
+        .toISOString()
+        .slice(0, 10)}.${req.query.format}`;
+      res.set("Content-Disposition", `attachment; filename="${filename}"`);
+      if (req.query.format === "json")
+        return res.status(200).json({ exportedAt, ...data });
+      const files = EXPORT_SECTIONS.map((section) => ({
+        name: `${section}.json`,
+        content: JSON.stringify(data[section], null, 2),
+      }));
+      res.set("Content-Type", "application/zip");
+      res.status(200).send(createZip(files, exportedAt));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Error exporting your data." });
+    }
+  }
+);
+
+// deactivate own account; hidden from everyone until the next login
+app.post(
+  "/api/account/deactivate",
+  isAuthenticated,
+  validate({ body: { password: v.string({ max: 200, trim: false }) } }),
+  async (req, res) => {
+    const client = await pool.connect();
+    try {
+      if (!(await passwordMatches(req.user.id, req.body.password)))
+        return fieldError(
+          res,
+          "password",
+          "invalid_password",
+          "Incorrect password."
+        );
+
+      await client.query("BEGIN");
+      await client.query(
+        "UPDATE Users SET deactivated_at = NOW() WHERE user_id = $1",
+        [req.user.id]
+      );
+      const cancelled = await cancelUpcomingSessions(
+        client,
+        req.user.id,
+        "Account deactivated"
+      );
+      await client.query(
+        "DELETE FROM session WHERE (sess::jsonb -> 'user' ->> 'id') = $1::text",
+        [req.user.id]
+      );
+      await client.query("COMMIT");
+      disconnectUser(req.user.id);
+      req.session.destroy(() =>
+        res.status(200).json({
+          message: "Your account is deactivated. Log in again to reopen it.",
+        })
+      );
+      notifyClosedAccountSessions(req.user.id, cancelled);
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error(error);
+      res.status(500).json({ message: "Error deactivating your account." });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// delete own account; the emailed link restores it within the window
+app.post(
+  "/api/account/delete",
+  isAuthenticated,
+  validate({ body: { password: v.string({ max: 200, trim: false }) } }),
+  async (req, res) => {
+    const client = await pool.connect();
+    try {
+      if (!(await passwordMatches(req.user.id, req.body.password)))
+        return fieldError(
+          res,
+          "password",
+          "invalid_password",
+          "Incorrect password."
+        );
+      const account = await pool.query(
+        "SELECT email, is_protected FROM Users WHERE user_id = $1",
+        [req.user.id]
+      );
+      if (isProtectedAccount(account.rows[0]))
+        return res
+          .status(403)
+          .json({ message: "This account is protected and can't be deleted." });
+
+      await client.query("BEGIN");
+      const cancelled = await cancelUpcomingSessions(
+        client,
+        req.user.id,
+        "Account deleted"
+      );
+      const restoreUntil = await softDeleteUser(
+        client,
+        req.user.id,
+        req.user.id
+      );
+      await client.query("COMMIT");
+      disconnectUser(req.user.id);
+      req.session.destroy(() =>
+        res.status(200).json({
+          message: `Your account is deleted. You can restore it from the link we emailed you until ${restoreUntil.toUTCString()}.`,
+        })
+      );
+
+      const token = createVerificationToken(
+        restoreSecret,
+        req.user.id,
+        account.rows[0].email,
+        Date.now(),
+        RESTORE_WINDOW_DAYS * 24
+      );
+      notifier.send("account_deleted", req.user.id, {
+        restoreUntil,
+        restoreUrl: `${appUrl}/account/restore/${token}`,
+      });
+      notifyClosedAccountSessions(req.user.id, cancelled);
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error(error);
+      res.status(500).json({ message: "Error deleting your account." });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// why a restore failed when the old address was reused
+const EMAIL_TAKEN_MESSAGE =
+  "Another account uses this email address now, so this one can't be restored. Please contact support.";
+
+// find the self-deleted account a restore link is for
+async function findRestorableAccount(token) {
+  const userId = readVerificationToken(token);
+  if (!userId) return null;
+  const result = await pool.query(
+    `SELECT user_id, original ->> 'email' AS email, original ->> 'user_name' AS user_name, deleted_by
+       FROM Deleted_Accounts WHERE user_id = $1 AND restore_until > NOW()`,
+    [userId]
+  );
+  const account = result.rows[0];
+  if (
+    !account ||
+    account.deleted_by !== account.user_id ||
+    !checkVerificationToken(restoreSecret, token, account.email)
+  )
+    return null;
+  return account;
+}
+
+// restore account page
+app.get(
+  "/account/restore/:token",
+  validate({ params: { token: v.string({ max: 200 }) } }),
+  async (req, res) => {
+    try {
+      const account = await findRestorableAccount(req.params.token);
+      if (!account)
+        return res
+          .status(400)
+          .send("This restore link is invalid or has expired.");
+      res.render("account_restore", {
+        token: req.params.token,
+        userName: account.user_name,
+        restored: false,
+        error: null,
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).send("Error.");
+    }
+  }
+);
+
+// restore a self-deleted account
+app.post(
+  "/account/restore/:token",
+  validate({ params: { token: v.string({ max: 200 }) } }),
+  async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const account = await findRestorableAccount(req.params.token);
+      if (!account)
+        return res
+          .status(400)
+          .send("This restore link is invalid or has expired.");
+
+      await client.query("BEGIN");
+      await restoreDeletedUser(client, account.user_id);
+      await client.query("COMMIT");
+      res.render("account_restore", {
+        token: req.params.token,
+        userName: account.user_name,
+        restored: true,
+        error: null,
+      });
+    } catch (e) {
+      await client.query("ROLLBACK");
+      // someone signed up with the address in the meantime
+      if (e.code === "23505")
+        return res.status(409).render("account_restore", {
+          token: req.params.token,
+          userName: null,
+          restored: false,
+          error: EMAIL_TAKEN_MESSAGE,
+        });
+      console.error(e);
+      res.status(500).send("Error.");
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// edit profile page
+app.get("/profile/edit", isAuthenticated, async (req, res) => {
+  try {
+    const skillsResult = await pool.query(SKILL_LIST_QUERY);
+    res.render("profile_edit", {
+      pageTitle: "Edit Profile",
+      user: req.user,
+      masterSkills: skillsResult.rows,
+      uncategorized: UNCATEGORIZED,
+      proficiencyLevels: PROFICIENCY_LEVELS,
+      credentialTypes: CREDENTIAL_TYPES,
+      maxYearsExperience: MAX_YEARS_EXPERIENCE,
+      restoreWindowDays: RESTORE_WINDOW_DAYS,
+    });
+  } catch (error) {
+    res.status(500).send("Error loading profile.");
+  }
+});
+
+// forgot password page
+app.get("/forgot-password", (req, res) => {
+  res.render("forgot_password");
+});
+
+// hash reset token for storage (only the emailed copy is usable)
+function hashResetToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// handle forgot password
+app.post(
+  "/forgot-password",
+  validate(
+    { body: { email: v.email() } },
+    {
+      onError: (req, res, errors) =>
+        res.status(400).render("forgot_password", { error: errors[0].message }),
+    }
+  ),
+  async (req, res) => {
+    const email = req.body.email.toLowerCase();
+
+    try {
+      // rate limit by ip and by email over the last hour
+      const recent = await pool.query(
+        `SELECT COUNT(*) FILTER (WHERE ip_address = $1)::int AS by_ip,
+              COUNT(*) FILTER (WHERE email = $2)::int AS by_email
+           FROM Password_Reset_Requests WHERE requested_at > NOW() - INTERVAL '1 hour'`,
+        [req.ip, email]
+      );
+      const { by_ip, by_email } = recent.rows[0];
+      if (by_ip >= RESET_LIMIT_PER_IP)
+        return res.status(429).render("forgot_password", {
+          error: "Too many reset requests. Please try again later.",
+        });
+
+      await pool.query(
+        "DELETE FROM Password_Reset_Requests WHERE requested_at < NOW() - INTERVAL '1 day'"
+      );
+      await pool.query(
+        "INSERT INTO Password_Reset_Requests (email, ip_address) VALUES ($1, $2)",
+        [email, req.ip]
+      );
+
+      // same page either way so emails can't be probed
+      if (by_email < RESET_LIMIT_PER_EMAIL) {
+        const token = crypto.randomBytes(32).toString("hex");
+        const result = await pool.query(
+          `UPDATE Users SET reset_token_hash = $1, reset_expires = NOW() + make_interval(mins => $2::int)
+             WHERE LOWER(email) = $3 RETURNING user_id`,
+          [hashResetToken(token), RESET_TOKEN_MINUTES, email]
+        );
+        if (result.rows.length > 0) {
+          await notifier.send("password_reset", result.rows[0].user_id, {
+            resetUrl: `${appUrl}/reset-password/${token}`,
+          });
+        }
+      }
+      res.render("forgot_password_sent", { email: email });
+    } catch (e) {
+      console.error(e);
+      res.status(500).send("Error.");
+    }
+  }
+);
+
+// find user for an unexpired reset token
+async function findResetUser(token) {
+  const result = await pool.query(
+    "SELECT user_id FROM Users WHERE reset_token_hash = $1 AND reset_expires > NOW()",
+    [hashResetToken(token)]
+  );
+  return result.rows[0] || null;
+}
+
+// reset password page
+app.get(
+  "/reset-password/:token",
+  validate({ params: { token: v.string({ max: 128 }) } }),
+  async (req, res) => {
+    const { token } = req.params;
+    try {
+      if (!(await findResetUser(token)))
+        return res.send("This password reset link is invalid or has expired.");
+      res.render("reset_password", { token });
+    } catch (e) {
+      console.error(e);
+      res.status(500).send("Error.");
+    }
+  }
+);
+
+// handle reset password
+app.post(
+  "/reset-password/:token",
+  validate(
+    {
+      params: { token: v.string({ max: 128 }) },
+      body: { newPassword: v.password().label("Password") },
+    },
+    {
+      onError: (req, res, errors) =>
+        res.status(400).render("reset_password", {
+          token: req.params.token,
+          error: errors[0].message,
+        }),
+    }
+  ),
+  async (req, res) => {
+    const { token } = req.params;
+    const { newPassword } = req.body;
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      // expiry is checked again here, and the token is cleared so it only works once
+      const result = await client.query(
+        `UPDATE Users SET password_hash = $1, reset_token_hash = NULL, reset_expires = NULL,
+               email_verified_at = COALESCE(email_verified_at, NOW())
+           WHERE reset_token_hash = $2 AND reset_expires > NOW() RETURNING user_id`,
+        [await bcrypt.hash(newPassword, 10), hashResetToken(token)]
+      );
+      if (result.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .send("This password reset link is invalid or has expired.");
+      }
+
+      // log out everywhere
+      await client.query(
+        "DELETE FROM session WHERE (sess::jsonb -> 'user' ->> 'id') = $1::text",
+        [result.rows[0].user_id]
+      );
+      await client.query("COMMIT");
+      res.redirect("/login");
+    } catch (e) {
+      await client.query("ROLLBACK");
+      console.error(e);
+      res.status(500).send("Error resetting password.");
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// view user profile
+app.get(
+  "/profile/view/:id",
+  isAuthenticated,
+  validate({ params: { id: v.int() } }),
+  async (req, res) => {
+    const targetId = req.params.id;
+    try {
+      const [userRes, offeredRes, soughtRes, ratingRes, blockRes] =
+        await Promise.all([
+          pool.query(
+            "SELECT user_id, user_name, grade_level, school_college, email, avatar_style, deactivated_at, deleted_at FROM Users WHERE user_id = $1",
+            [targetId]
+          ),
+          pool.query(
+            `SELECT s.skill_name, uso.is_virtual_only, uso.is_inperson_only, uso.proficiency_level, uso.years_experience,
+                    uso.description, uso.credential_type, uso.credential_detail
+               FROM User_Skills_Offered uso JOIN Skills s ON uso.skill_id = s.skill_id WHERE uso.user_id = $1`,
+            [targetId]
+          ),
+          pool.query(
+            "SELECT s.skill_name, uss.target_level FROM User_Skills_Sought uss JOIN Skills s ON uss.skill_id = s.skill_id WHERE uss.user_id = $1",
+            [targetId]
+          ),
+          pool.query(
+            "SELECT COUNT(rating_id) AS total, SUM(CASE WHEN like_status = TRUE THEN 1 ELSE 0 END) AS likes FROM Ratings WHERE ratee_id = $1",
+            [targetId]
+          ),
+          pool.query(
+            "SELECT 1 FROM User_Blocks WHERE blocker_id = $1 AND blocked_id = $2",
+            [req.user.id, targetId]
+          ),
+        ]);
+
+      if (userRes.rows.length === 0)
+        return res.status(404).send("User not found.");
+      if (userRes.rows[0].deactivated_at || userRes.rows[0].deleted_at)
+        return res.status(404).send("This account is no longer available.");
+
+      const ratings = ratingRes.rows[0];
+      const percent =
+        ratings.total > 0
+          ? Math.round((ratings.likes / ratings.total) * 100)
+          : 0;
+
+      res.render("profile_view", {
+        pageTitle: `${userRes.rows[0].user_name}'s Profile`,
+        user: req.user,
+        profile: userRes.rows[0],
+        skillsOffered: offeredRes.rows,
+        skillsSought: soughtRes.rows,
+        ratingStats: { count: ratings.total, likes: ratings.likes, percent },
+        isBlocked: blockRes.rowCount > 0,
+        reportCategories: REPORT_CATEGORIES,
+        proficiencyLevels: PROFICIENCY_LEVELS,
+        credentialTypes: CREDENTIAL_TYPES,
+      });
+    } catch (error) {
+      res.status(500).send("Error loading profile.");
+    }
+  }
+);
+
+// update basic profile info
+app.put(
+  "/api/user/profile/:id",
+  isAuthenticated,
+  validate({
+    params: { id: v.int() },
+    body: {
+      userName: v.string({ max: 100 }),
+      gradeLevel: v.string({ max: 20 }).optional(null),
+      avatarStyle: v.oneOf(AVATAR_STYLES).optional("bottts"),
+    },
+  }),
+  authorizeUser("editProfile"),
+  async (req, res) => {
+    const { userName, gradeLevel, avatarStyle } = req.body;
+
+    try {
+      const result = await pool.query(
+        "UPDATE Users SET user_name = $1, grade_level = $2, avatar_style = $3 WHERE user_id = $4 RETURNING user_name, avatar_style",
+        [userName, gradeLevel, avatarStyle, req.params.id]
+      );
+      req.session.user.name = result.rows[0].user_name;
+      req.session.user.avatarStyle = result.rows[0].avatar_style;
+      req.session.save();
+      res.status(200).json({ message: "Profile updated." });
+    } catch (error) {
+      res.status(500).json({ message: "Update failed." });
+    }
+  }
+);
+
+// get user skills
+app.get(
+  "/api/user/skills/:id",
+  isAuthenticated,
+  validate({ params: { id: v.int() } }),
+  async (req, res) => {
+    try {
+      const offered = await pool.query(
+        `SELECT skill_id, is_virtual_only, is_inperson_only, proficiency_level, years_experience,
+                description, credential_type, credential_detail
+           FROM User_Skills_Offered WHERE user_id = $1`,
+        [req.params.id]
+      );
+      const sought = await pool.query(
+        "SELECT skill_id, is_virtual_only, is_inperson_only, target_level FROM User_Skills_Sought WHERE user_id = $1",
+        [req.params.id]
+      );
+      res.status(200).json({ offered: offered.rows, sought: sought.rows });
+    } catch (error) {
+      res.status(500).json({ message: "Error fetching skills." });
+    }
+  }
+);
+
+// update offered skills, each with an optional level, experience and credential
+app.post(
+  "/api/user/skills/offer",
+  isAuthenticated,
+  validate({
+    body: {
+      skills: v.array(
+        v.object({
+          skillId: v.int(),
+          isVirtualOnly: v.bool().optional(false),
+          isInPersonOnly: v.bool().optional(false),
+          proficiencyLevel: v
+            .oneOf(Object.keys(PROFICIENCY_LEVELS))
+            .optional(null),
+          yearsExperience: v
+            .int({ min: 0, max: MAX_YEARS_EXPERIENCE })
+            .optional(null),
+          description: v.string({ max: 500 }).optional(null),
+          credentialType: v.oneOf(Object.keys(CREDENTIAL_TYPES)).optional(null),
+          credentialDetail: v.string({ max: 200 }).optional(null),
+        }),
+        { max: 50 }
+      ),
+    },
+  }),
+  async (req, res) => {
+    const userId = req.user.id;
+    const { skills } = req.body;
+    // a credential needs both its kind and what it is ("Certification", "ABRSM Grade 8")
+    const incomplete = skills.findIndex(
+      (s) => Boolean(s.credentialType) !== Boolean(s.credentialDetail)
+    );
+    if (incomplete !== -1)
+      return skills[incomplete].credentialType
+        ? fieldError(
+            res,
+            `skills[${incomplete}].credentialDetail`,
+            "required",
+            "Say which grade, certificate or award it is."
+          )
+        : fieldError(
+            res,
+            `skills[${incomplete}].credentialType`,
+            "required",
+            "Pick what kind of credential this is."
+          );
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query("DELETE FROM User_Skills_Offered WHERE user_id = $1", [
+        userId,
+      ]);
+      if (skills.length > 0) {
+        const queries = skills.map((s) =>
+          client.query(
+            `INSERT INTO User_Skills_Offered (user_id, skill_id, is_virtual_only, is_inperson_only, proficiency_level,
+                 years_experience, description, credential_type, credential_detail)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [
+              userId,
+              s.skillId,
+              s.isVirtualOnly,
+              s.isInPersonOnly,
+              s.proficiencyLevel,
+              s.yearsExperience,
+              s.description,
+              s.credentialType,
+              s.credentialDetail,
+            ]
+          )
+        );
+        await Promise.all(queries);
+      }
+      await client.query("COMMIT");
+      res.status(200).json({ message: "Offered skills updated." });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      res.status(500).json({ message: "Update failed." });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// update sought skills, each with an optional level to aim for
+app.post(
+  "/api/user/skills/seek",
+  isAuthenticated,
+  validate({
+    body: {
+      skills: v.array(
+        v.object({
+          skillId: v.int(),
+          isVirtualOnly: v.bool().optional(false),
+          isInPersonOnly: v.bool().optional(false),
+          targetLevel: v.oneOf(Object.keys(PROFICIENCY_LEVELS)).optional(null),
+        }),
+        { max: 50 }
+      ),
+    },
+  }),
+  async (req, res) => {
+    const userId = req.user.id;
+    const { skills } = req.body;
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query("DELETE FROM User_Skills_Sought WHERE user_id = $1", [
+        userId,
+      ]);
+      if (skills.length > 0) {
+        const queries = skills.map((s) =>
+          client.query(
+            "INSERT INTO User_Skills_Sought (user_id, skill_id, is_virtual_only, is_inperson_only, target_level) VALUES ($1, $2, $3, $4, $5)",
+            [
+              userId,
+              s.skillId,
+              s.isVirtualOnly,
+              s.isInPersonOnly,
+              s.targetLevel,
+            ]
+          )
+        );
+        await Promise.all(queries);
+      }
+      await client.query("COMMIT");
+      res.status(200).json({ message: "Sought skills updated." });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      res.status(500).json({ message: "Update failed." });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// get email preferences
+app.get("/api/user/email-preferences", isAuthenticated, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT email_opt_outs FROM Users WHERE user_id = $1",
+      [req.user.id]
+    );
+    const optOuts = result.rows[0].email_opt_outs || [];
+    const preferences = {};
+    EMAIL_CATEGORIES.forEach((c) => (preferences[c] = !optOuts.includes(c)));
+    res.status(200).json({ preferences });
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching preferences." });
+  }
+});
+
+// update email preferences
+app.put(
+  "/api/user/email-preferences",
+  isAuthenticated,
+  validate({
+    body: {
+      preferences: v.object(
+        Object.fromEntries(
+          EMAIL_CATEGORIES.map((c) => [c, v.bool().optional()])
+        )
+      ),
+    },
+  }),
+  async (req, res) => {
+    const { preferences } = req.body;
+    const optOuts = EMAIL_CATEGORIES.filter((c) => preferences[c] === false);
+    try {
+      await pool.query(
+        "UPDATE Users SET email_opt_outs = $1 WHERE user_id = $2",
+        [optOuts, req.user.id]
+      );
+      res.status(200).json({ message: "Email preferences saved." });
+    } catch (error) {
+      res.status(500).json({ message: "Update failed." });
+    }
+  }
+);
+
+// suggest new skill
+app.post(
+  "/api/skills/suggest",
+  isAuthenticated,
+  validate({ body: { skillName: v.string({ max: 50 }) } }),
+  async (req, res) => {
+    const { skillName } = req.body;
+    try {
+      // aliases count, so "Calc" finds "Calculus"
+      const existing = await findSkillByName(pool, skillName);
+      if (existing)
+        return res.status(409).json({
+          message: `That skill is already listed as "${existing.skill_name}".`,
+        });
+      const pending = await pool.query(
+        "SELECT 1 FROM Skill_Suggestions WHERE LOWER(suggested_skill_name) = LOWER($1)",
+        [skillName]
+      );
+      if (pending.rows.length > 0)
+        return res
+          .status(409)
+          .json({ message: "Skill already exists or is pending." });
+
+      await pool.query(
+        "INSERT INTO Skill_Suggestions (suggested_skill_name, suggesting_user_id) VALUES ($1, $2)",
+        [skillName, req.user.id]
+      );
+      res.status(201).json({ message: "Skill suggested successfully." });
+    } catch (error) {
+      res.status(500).json({ message: "Suggestion failed." });
+    }
+  }
+);
+
+// session request form
+app.get("/session/request", isAuthenticated, async (req, res) => {
+  try {
+    const skillsResult = await pool.query(SKILL_LIST_QUERY);
+    res.render("session_request", {
+      pageTitle: "Request Session",
+      user: req.user,
+      skills: skillsResult.rows,
+      uncategorized: UNCATEGORIZED,
+      proficiencyLevels: PROFICIENCY_LEVELS,
+    });
+  } catch (error) {
+    res.status(500).send("Error loading form.");
+  }
+});
+
+// my sessions page
+app.get("/my_sessions", isAuthenticated, (req, res) => {
+  res.render("my_sessions", { pageTitle: "My Sessions", user: req.user });
+});
+
+// session rating form
+app.get(
+  "/session/rate/:id",
+  isAuthenticated,
+  validate({ params: { id: v.int() } }),
+  async (req, res) => {
+    try {
+      const res1 = await pool.query(
+        "SELECT s.*, u.user_name as provider_name FROM Sessions s JOIN Users u ON s.provider_id = u.user_id WHERE s.session_id = $1",
+        [req.params.id]
+      );
+      if (res1.rows.length === 0)
+        return res.status(404).send("Session not found");
+      const session = res1.rows[0];
+      if (
+        !canActOnSession(req.user, "rate", session) ||
+        session.status !== "Completed"
+      )
+        return res.status(403).send("Invalid session for rating.");
+      res.render("rating_form", {
+        pageTitle: "Rate Session",
+        user: req.user,
+        session,
+      });
+    } catch (err) {
+      res.status(500).send("Error");
+    }
+  }
+);
+
+// sql: how many age bands a user row is from the band in bandParam
+// children still waiting on a guardian count as out of reach
+function bandDistanceSql(alias, bandParam) {
+  const band = ageBandSql(`${alias}.date_of_birth`);
+  return `(CASE WHEN ${alias}.guardian_consent_at IS NULL AND ${band} = 0 THEN 99
+    ELSE ABS(${band} - ${bandParam}) END)`;
+}
+
+// sql: open account within gapParam age bands and with no block with userParam
+function reachableSql(alias, userParam, bandParam, gapParam) {
+  return `${bandDistanceSql(alias, bandParam)} <= ${gapParam}
+    AND ${notBlockedSql(alias, userParam)} AND ${activeSql(alias)}`;
+}
+
+// get providers for a skill
+app.get(
+  "/api/skills/:id/providers",
+  isAuthenticated,
+  validate({
+    params: { id: v.int() },
+    query: {
+      minLevel: v.oneOf(Object.keys(PROFICIENCY_LEVELS)).optional(null),
+      minYears: v.int({ min: 0, max: MAX_YEARS_EXPERIENCE }).optional(null),
+      credentialed: v.bool().optional(false),
+    },
+  }),
+  async (req, res) => {
+    const { minLevel, minYears, credentialed } = req.query;
+    try {
+      // only people this user's age band can book, and no blocks either way
+      // filters leave out tutors who didn't say (no level, no years)
+      const level = levelRankSql("uso.proficiency_level");
+      const minRank = levelRankSql("$5::varchar");
+      const result = await pool.query(
+        `SELECT u.user_id, u.user_name, uso.proficiency_level, uso.years_experience, uso.description,
+                uso.credential_type, uso.credential_detail
+           FROM Users u JOIN User_Skills_Offered uso ON u.user_id = uso.user_id
+           WHERE uso.skill_id = $1 AND u.is_admin = FALSE AND u.user_id != $2
+             AND ${reachableSql("u", "$2", "$3", "$4")}
+             AND ($5::varchar IS NULL OR ${level} >= ${minRank})
+             AND ($6::int IS NULL OR uso.years_experience >= $6)
+             AND (NOT $7 OR uso.credential_type IS NOT NULL)
+           ORDER BY ${level} DESC NULLS LAST, u.user_name`,
+        [
+          req.params.id,
+          req.user.id,
+          await currentAgeBand(req),
+          safetyRules.sessionBandGap,
+          minLevel,
+          minYears,
+          credentialed,
+        ]
+      );
+      res.status(200).json({ providers: result.rows });
+    } catch (error) {
+      res.status(500).json({ message: "Error fetching providers." });
+    }
+  }
+);
+
+// get provider availability
+app.get(
+  "/api/availability/:userId",
+  isAuthenticated,
+  validate({ params: { userId: v.int() } }),
+  async (req, res) => {
+    try {
+      const [userRes, windowsRes, blackoutsRes] = await Promise.all([
+        pool.query("SELECT timezone FROM Users WHERE user_id = $1", [
+          req.params.userId,
+        ]),
+        pool.query(
+          "SELECT availability_id, day_of_week, to_char(start_time, 'HH24:MI') AS start_time, to_char(end_time, 'HH24:MI') AS end_time FROM Provider_Availability WHERE user_id = $1 ORDER BY day_of_week, start_time",
+          [req.params.userId]
+        ),
+        pool.query(
+          "SELECT blackout_id, to_char(blackout_date, 'YYYY-MM-DD') AS blackout_date, reason FROM Provider_Blackouts WHERE user_id = $1 AND blackout_date >= CURRENT_DATE ORDER BY blackout_date",
+          [req.params.userId]
+        ),
+      ]);
+      if (userRes.rows.length === 0)
+        return res.status(404).json({ message: "User not found." });
+      res.status(200).json({
+        timezone: userRes.rows[0].timezone,
+        windows: windowsRes.rows,
+        blackouts: blackoutsRes.rows,
+      });
+    } catch (error) {
+      res.status(500).json({ message: "Error fetching availability." });
+    }
+  }
+);
+
+// replace weekly availability windows
+app.put(
+  "/api/availability",
+  isAuthenticated,
+  validate({
+    body: {
+      timezone: v.string({ max: 64 }).optional(),
+      windows: v.array(
+        v.object({
+          dayOfWeek: v.int({ min: 0, max: 6 }),
+          startTime: v.time(),
+          endTime: v.time(),
+        }),
+        { max: 50 }
+      ),
+    },
+  }),
+  async (req, res) => {
+    const userId = req.user.id;
+    const { timezone, windows } = req.body;
+    const backwards = windows.findIndex((w) => w.startTime >= w.endTime);
+    if (backwards >= 0)
+      return fieldError(
+        res,
+        `windows[${backwards}].endTime`,
+        "invalid_range",
+        "End time must be after start time."
+      );
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      // reject unknown timezone names
+      if (timezone) {
+        const tzCheck = await client.query(
+          "SELECT 1 FROM pg_timezone_names WHERE name = $1",
+          [timezone]
+        );
+        if (tzCheck.rows.length === 0) {
+          await client.query("ROLLBACK");
+          return fieldError(
+            res,
+            "timezone",
+            "invalid_choice",
+            "Unknown timezone."
+          );
+        }
+        await client.query(
+          "UPDATE Users SET timezone = $1 WHERE user_id = $2",
+          [timezone, userId]
+        );
+      }
+      await client.query(
+        "DELETE FROM Provider_Availability WHERE user_id = $1",
+        [userId]
+      );
+      const queries = windows.map((w) =>
+        client.query(
+          "INSERT INTO Provider_Availability (user_id, day_of_week, start_time, end_time) VALUES ($1, $2, $3, $4)",
+          [userId, w.dayOfWeek, w.startTime, w.endTime]
+        )
+      );
+      await Promise.all(queries);
+      await client.query("COMMIT");
+      res.status(200).json({ message: "Availability updated." });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      res.status(500).json({ message: "Update failed." });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// add blackout date
+app.post(
+  "/api/availability/blackouts",
+  isAuthenticated,
+  validate({
+    body: {
+      date: v.date(),
+      reason: v.string({ max: 255 }).optional(null),
+    },
+  }),
+  async (req, res) => {
+    const { date, reason } = req.body;
+
+    try {
+      await pool.query(
+        "INSERT INTO Provider_Blackouts (user_id, blackout_date, reason) VALUES ($1, $2, $3)",
+        [req.user.id, date, reason]
+      );
+      res.status(201).json({ message: "Blackout date added." });
+    } catch (error) {
+      if (error.code === "23505")
+        return res.status(409).json({ message: "Date already blocked." });
+      res.status(500).json({ message: "Error adding blackout." });
+    }
+  }
+);
+
+// remove blackout date
+app.delete(
+  "/api/availability/blackouts/:id",
+  isAuthenticated,
+  validate({ params: { id: v.int() } }),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "DELETE FROM Provider_Blackouts WHERE blackout_id = $1 AND user_id = $2 RETURNING blackout_id",
+        [req.params.id, req.user.id]
+      );
+      if (result.rows.length === 0)
+        return res.status(404).json({ message: "Not found." });
+      res.status(200).json({ message: "Blackout removed." });
+    } catch (error) {
+      res.status(500).json({ message: "Error removing blackout." });
+    }
+  }
+);
+
+// get open slots for a provider
+app.get(
+  "/api/providers/:id/slots",
+  isAuthenticated,
+  validate({
+    params: { id: v.int() },
+    query: {
+      from: v.date().optional(),
+      days: v.int({ min: 1, max: 60 }).optional(14),
+      duration: v.oneOf(SESSION_DURATIONS).optional(DEFAULT_DURATION_MINUTES),
+      excludeSession: v.int().optional(),
+    },
+  }),
+  async (req, res) => {
+    const from = req.query.from || new Date().toISOString().slice(0, 10);
+    const { days, duration } = req.query;
+
+    try {
+      // when rescheduling, check both participants and skip the session itself
+      let otherUserId = req.user.id;
+      let excludeSessionId = 0;
+      if (req.query.excludeSession) {
+        const sessionRes = await pool.query(
+          "SELECT session_id, requester_id FROM Sessions WHERE session_id = $1 AND provider_id = $2 AND (requester_id = $3 OR provider_id = $3)",
+          [req.query.excludeSession, req.params.id, req.user.id]
+        );
+        if (sessionRes.rows.length === 0)
+          return res.status(404).json({ message: "Session not found." });
+        otherUserId = sessionRes.rows[0].requester_id;
+        excludeSessionId = sessionRes.rows[0].session_id;
+      }
+
+      const result = await pool.query(
+        `WITH days AS (
+             SELECT d::date AS day FROM generate_series($2::date, $2::date + ($3::int - 1), interval '1 day') d
+           ),
+           windows AS (
+             SELECT d.day, a.start_time, a.end_time, u.timezone
+             FROM days d
+             JOIN Provider_Availability a ON a.day_of_week = EXTRACT(DOW FROM d.day)
+             JOIN Users u ON u.user_id = a.user_id
+             WHERE a.user_id = $1
+               AND NOT EXISTS (SELECT 1 FROM Provider_Blackouts b WHERE b.user_id = $1 AND b.blackout_date = d.day)
+           ),
+           slots AS (
+             SELECT (w.day + w.start_time + g * make_interval(mins => $5::int)) AT TIME ZONE w.timezone AS slot_start
+             FROM windows w,
+                  generate_series(0, floor(EXTRACT(EPOCH FROM (w.end_time - w.start_time)) / 60 / $5::int)::int - 1) g
+           )
+           SELECT slot_start FROM slots s
+           WHERE s.slot_start > NOW()
+             AND NOT EXISTS (
+               SELECT 1 FROM Sessions x
+               WHERE x.status IN ('Requested', 'Confirmed')
+                 AND x.session_id <> $6
+                 AND (x.provider_id IN ($1, $4) OR x.requester_id IN ($1, $4))
+                 AND x.session_date_time < s.slot_start + make_interval(mins => $5::int)
+                 AND x.session_date_time + make_interval(mins => x.duration_minutes) > s.slot_start
+             )
+           ORDER BY slot_start`,
+        [req.params.id, from, days, otherUserId, duration, excludeSessionId]
+      );
+      res.status(200).json({
+        slots: result.rows.map((r) => r.slot_start),
+        durationMinutes: duration,
+      });
+    } catch (error) {
+      res.status(500).json({ message: "Error fetching open slots." });
+    }
+  }
+);
+
+// check requested time against availability and existing bookings
+async function checkSlotOpen(
+  client,
+  providerId,
+  requesterId,
+  start,
+  minutes,
+  excludeSessionId = 0
+) {
+  const windowRes = await client.query(
+    `SELECT 1 FROM Users u
+         JOIN Provider_Availability a ON a.user_id = u.user_id
+         WHERE u.user_id = $1
+           AND a.day_of_week = EXTRACT(DOW FROM ($2::timestamptz AT TIME ZONE u.timezone))
+           AND ($2::timestamptz AT TIME ZONE u.timezone) >= ($2::timestamptz AT TIME ZONE u.timezone)::date + a.start_time
+           AND ($2::timestamptz AT TIME ZONE u.timezone) + make_interval(mins => $3::int) <= ($2::timestamptz AT TIME ZONE u.timezone)::date + a.end_time
+           AND NOT EXISTS (
+             SELECT 1 FROM Provider_Blackouts b
+             WHERE b.user_id = u.user_id AND b.blackout_date = ($2::timestamptz AT TIME ZONE u.timezone)::date
+           )`,
+    [providerId, start, minutes]
+  );
+  if (windowRes.rows.length === 0)
+    return "That time is outside the tutor's availability.";
+
+  const overlapRes = await client.query(
+    `SELECT 1 FROM Sessions
+         WHERE status IN ('Requested', 'Confirmed')
+           AND session_id <> $5
+           AND (provider_id IN ($1, $2) OR requester_id IN ($1, $2))
+           AND session_date_time < $3::timestamptz + make_interval(mins => $4::int)
+           AND session_date_time + make_interval(mins => duration_minutes) > $3::timestamptz`,
+    [providerId, requesterId, start, minutes, excludeSessionId]
+  );
+  if (overlapRes.rows.length > 0) return "That time overlaps another session.";
+  return null;
+}
+
+// serialize bookings for both users
+async function lockUsers(client, userIds) {
+  const ids = userIds.map((id) => parseInt(id)).sort((a, b) => a - b);
+  for (const id of ids) {
+    await client.query("SELECT pg_advisory_xact_lock($1)", [id]);
+  }
+}
+
+// session rows with participant and skill names
+const SESSION_DETAILS_QUERY = `SELECT s.*, p.user_name AS provider_name, r.user_name AS requester_name, sk.skill_name
+       FROM Sessions s
+       JOIN Users p ON s.provider_id = p.user_id
+       JOIN Users r ON s.requester_id = r.user_id
+       JOIN Skills sk ON s.skill_taught_id = sk.skill_id`;
+
+// load session with names (for emails)
+async function getSessionDetails(sessionId) {
+  const result = await pool.query(
+    `${SESSION_DETAILS_QUERY} WHERE s.session_id = $1`,
+    [sessionId]
+  );
+  return result.rows[0];
+}
+
+// load a session and send its notifications once the response is out
+// runs on its own, so a failure is logged rather than reaching the route's catch
+function notifySession(sessionId, notify) {
+  getSessionDetails(sessionId)
+    .then(notify)
+    .catch((error) =>
+      console.error("Session notification failed:", error.message)
+    );
+}
+
+// create session request
+app.post(
+  "/api/sessions/request",
+  isAuthenticated,
+  isVerified,
+  hasGuardianConsent,
+  validate({
+    body: {
+      providerId: v.int(),
+      skillTaughtId: v.int(),
+      sessionDateTime: v.datetime({ future: true }),
+      locationType: v.oneOf(LOCATION_TYPES),
+      meetingUrl: v.url().optional(null),
+      durationMinutes: v
+        .oneOf(SESSION_DURATIONS)
+        .optional(DEFAULT_DURATION_MINUTES),
+    },
+  }),
+  async (req, res) => {
+    const requesterId = req.user.id;
+    const {
+      providerId,
+      skillTaughtId,
+      sessionDateTime,
+      locationType,
+      meetingUrl,
+      durationMinutes,
+    } = req.body;
+    const duration = durationMinutes;
+    if (requesterId === providerId)
+      return fieldError(
+        res,
+        "providerId",
+        "invalid_choice",
+        "Cannot request self."
+      );
+
+    // closed accounts, age-band and in-person limits
+    try {
+      const provider = await pool.query(
+        `SELECT date_of_birth FROM Users u WHERE user_id = $1 AND ${activeSql(
+          "u"
+        )}`,
+        [providerId]
+      );
+      if (provider.rows.length === 0)
+        return res.status(404).json({ message: "User not found." });
+      if (await isBlockedBetween(requesterId, providerId))
+        return res.status(403).json({ message: BLOCKED_MESSAGE });
+      const blocked = sessionBlockReason(
+        safetyRules,
+        await currentAgeBand(req),
+        ageBand(ageOn(provider.rows[0].date_of_birth)),
+        locationType
+      );
+      if (blocked) return res.status(403).json({ message: blocked });
+    } catch (error) {
+      return res.status(500).json({ message: "Request failed." });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      await lockUsers(client, [requesterId, providerId]);
+
+      const conflict = await checkSlotOpen(
+        client,
+        providerId,
+        requesterId,
+        sessionDateTime,
+        duration
+      );
+      if (conflict) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ message: conflict });
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO Sessions (provider_id, requester_id, skill_taught_id, session_date_time, duration_minutes, location_type, status, meeting_url) 
+             VALUES ($1, $2, $3, $4, $5, $6, 'Requested', $7) RETURNING session_id`,
+        [
+          providerId,
+          requesterId,
+          skillTaughtId,
+          sessionDateTime,
+          duration,
+          locationType,
+          meetingUrl || null,
+        ]
+      );
+      await client.query("COMMIT");
+      res.status(201).json({ message: "Request sent." });
+
+      notifySession(inserted.rows[0].session_id, (details) => {
+        createNotification(
+          details.provider_id,
+          "session_requested",
+          `${details.requester_name} requested a ${details.skill_name} session.`,
+          "/my_sessions"
+        );
+        notifier.send("session_requested", details.provider_id, {
+          requesterName: details.requester_name,
+          skillName: details.skill_name,
+          sessionDateTime: details.session_date_time,
+          durationMinutes: details.duration_minutes,
+          locationType: details.location_type,
+        });
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      res.status(500).json({ message: "Request failed." });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// get session history
+app.get(
+  "/api/sessions/user/:id",
+  isAuthenticated,
+  validate({ params: { id: v.int() } }),
+  authorizeUser("viewSessions"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT s.*, p.user_name AS provider_name, r.user_name AS requester_name, sk.skill_name AS skill_name,
+             s.session_date_time + make_interval(mins => s.duration_minutes) AS session_end_time,
+             (CASE WHEN rt.rating_id IS NOT NULL THEN TRUE ELSE FALSE END) AS is_rated,
+             sp.proposal_id AS pending_proposal_id, sp.proposer_id AS pending_proposer_id,
+             sp.proposed_date_time AS pending_proposed_time, sp.duration_minutes AS pending_duration_minutes,
+             sp.note AS pending_note,
+             (SELECT COUNT(*)::int FROM Session_Proposals h WHERE h.session_id = s.session_id) AS proposal_count
+             FROM Sessions s
+             JOIN Users p ON s.provider_id = p.user_id 
+             JOIN Users r ON s.requester_id = r.user_id 
+             JOIN Skills sk ON s.skill_taught_id = sk.skill_id
+             LEFT JOIN Ratings rt ON s.session_id = rt.session_id
+             LEFT JOIN Session_Proposals sp ON sp.session_id = s.session_id AND sp.status = 'Pending'
+             WHERE s.provider_id = $1 OR s.requester_id = $1 ORDER BY s.session_date_time DESC`,
+        [req.params.id]
+      );
+      res.status(200).json({ sessions: result.rows });
+    } catch (error) {
+      res.status(500).json({ message: "Error fetching history." });
+    }
+  }
+);
+
+// get reschedule history
+app.get(
+  "/api/sessions/:id/proposals",
+  isAuthenticated,
+  validate({ params: { id: v.int() } }),
+  authorizeSession("reschedule"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT sp.*, u.user_name AS proposer_name FROM Session_Proposals sp
+           JOIN Users u ON sp.proposer_id = u.user_id
+           WHERE sp.session_id = $1 ORDER BY sp.created_at ASC`,
+        [req.params.id]
+      );
+      res.status(200).json({ proposals: result.rows });
+    } catch (error) {
+      res.status(500).json({ message: "Error fetching proposals." });
+    }
+  }
+);
+
+// propose a new time (or counter the other party)
+app.post(
+  "/api/sessions/:id/propose",
+  isAuthenticated,
+  validate({
+    params: { id: v.int() },
+    body: {
+      proposedDateTime: v.datetime({ future: true }),
+      durationMinutes: v.oneOf(SESSION_DURATIONS).optional(),
+      note: v.string({ max: 500 }).optional(null),
+    },
+  }),
+  authorizeSession("reschedule"),
+  async (req, res) => {
+    const { proposedDateTime, durationMinutes, note } = req.body;
+    const session = req.sessionRecord;
+    const otherId =
+      req.user.id === session.provider_id
+        ? session.requester_id
+        : session.provider_id;
+    try {
+      if (await isBlockedBetween(req.user.id, otherId))
+        return res.status(403).json({ message: BLOCKED_MESSAGE });
+      const unsafe = await sessionSafetyReason(
+        req,
+        otherId,
+        session.location_type
+      );
+      if (unsafe) return res.status(403).json({ message: unsafe });
+    } catch (error) {
+      return res.status(500).json({ message: "Proposal failed." });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      if (!["Requested", "Confirmed"].includes(session.status)) {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .json({ message: "Only upcoming sessions can be rescheduled." });
+      }
+
+      const duration = durationMinutes || session.duration_minutes;
+
+      await lockUsers(client, [session.provider_id, session.requester_id]);
+      const conflict = await checkSlotOpen(
+        client,
+        session.provider_id,
+        session.requester_id,
+        proposedDateTime,
+        duration,
+        session.session_id
+      );
+      if (conflict) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ message: conflict });
+      }
+
+      // close out the current pending proposal
+      await client.query(
+        `UPDATE Session_Proposals
+           SET status = CASE WHEN proposer_id = $2 THEN 'Withdrawn' ELSE 'Countered' END, responded_at = NOW()
+           WHERE session_id = $1 AND status = 'Pending'`,
+        [session.session_id, req.user.id]
+      );
+      await client.query(
+        "INSERT INTO Session_Proposals (session_id, proposer_id, proposed_date_time, duration_minutes, note) VALUES ($1, $2, $3, $4, $5)",
+        [
+          session.session_id,
+          req.user.id,
+          proposedDateTime,
+          duration,
+          note || null,
+        ]
+      );
+      await client.query("COMMIT");
+      res.status(201).json({ message: "New time proposed." });
+
+      createNotification(
+        otherId,
+        "session_proposal",
+        `${req.user.name} proposed a new time for your session.`,
+        "/my_sessions"
+      );
+    } catch (error) {
+      await client.query("ROLLBACK");
+      res.status(500).json({ message: "Proposal failed." });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// accept or decline a proposed time
+app.post(
+  "/api/sessions/:id/proposals/:proposalId/:action",
+  isAuthenticated,
+  validate({
+    params: {
+      id: v.int(),
+      proposalId: v.int(),
+      action: v.oneOf(["accept", "decline"]),
+    },
+  }),
+  authorizeSession("reschedule"),
+  async (req, res) => {
+    const { action } = req.params;
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const session = req.sessionRecord;
+      const proposalRes = await client.query(
+        "SELECT * FROM Session_Proposals WHERE proposal_id = $1 AND session_id = $2 AND status = 'Pending' FOR UPDATE",
+        [req.params.proposalId, req.params.id]
+      );
+      const proposal = proposalRes.rows[0];
+      if (!proposal) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ message: "Not found." });
+      }
+
+      // proposer can only withdraw their own proposal
+      const isProposer = proposal.proposer_id === req.user.id;
+      if (action === "accept" && isProposer) {
+        await client.query("ROLLBACK");
+        return res
+          .status(403)
+          .json({ message: "The other participant must accept." });
+      }
+
+      if (action === "decline") {
+        await client.query(
+          "UPDATE Session_Proposals SET status = $1, responded_at = NOW() WHERE proposal_id = $2",
+          [isProposer ? "Withdrawn" : "Declined", proposal.proposal_id]
+        );
+        await client.query("COMMIT");
+        res.status(200).json({
+          message: isProposer ? "Proposal withdrawn." : "Proposal declined.",
+        });
+        if (!isProposer)
+          createNotification(
+            proposal.proposer_id,
+            "proposal_declined",
+            `${req.user.name} declined your proposed time.`,
+            "/my_sessions"
+          );
+        return;
+      }
+
+      if (!["Requested", "Confirmed"].includes(session.status)) {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .json({ message: "Only upcoming sessions can be rescheduled." });
+      }
+      if (await isBlockedBetween(req.user.id, proposal.proposer_id)) {
+        await client.query("ROLLBACK");
+        return res.status(403).json({ message: BLOCKED_MESSAGE });
+      }
+      // ages may have changed since the session was booked
+      const unsafe = await sessionSafetyReason(
+        req,
+        proposal.proposer_id,
+        session.location_type
+      );
+      if (unsafe) {
+        await client.query("ROLLBACK");
+        return res.status(403).json({ message: unsafe });
+      }
+
+      // time may have been taken since it was proposed
+      await lockUsers(client, [session.provider_id, session.requester_id]);
+      const conflict = await checkSlotOpen(
+        client,
+        session.provider_id,
+        session.requester_id,
+        proposal.proposed_date_time,
+        proposal.duration_minutes,
+        session.session_id
+      );
+      if (conflict) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ message: conflict });
+      }
+
+      await client.query(
+        `UPDATE Sessions SET session_date_time = $1, duration_minutes = $2,
+               calendar_sequence = calendar_sequence + 1, updated_at = NOW()
+             WHERE session_id = $3`,
+        [
+          proposal.proposed_date_time,
+          proposal.duration_minutes,
+          session.session_id,
+        ]
+      );
+      await client.query(
+        "UPDATE Session_Proposals SET status = 'Accepted', responded_at = NOW() WHERE proposal_id = $1",
+        [proposal.proposal_id]
+      );
+      await client.query("COMMIT");
+      res.status(200).json({ message: "Session rescheduled." });
+
+      createNotification(
+        proposal.proposer_id,
+        "proposal_accepted",
+        `${req.user.name} accepted your proposed time.`,
+        "/my_sessions"
+      );
+    } catch (error) {
+      await client.query("ROLLBACK");
+      res.status(500).json({ message: "Error updating proposal." });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// confirm session
+app.post(
+  "/api/sessions/confirm",
+  isAuthenticated,
+  validate({
+    body: { sessionId: v.int(), meetingUrl: v.url().optional(null) },
+  }),
+  authorizeSession("confirm"),
+  async (req, res) => {
+    const sessionId = req.sessionRecord.session_id;
+    try {
+      const result = await pool.query(
+        `UPDATE Sessions SET status = 'Confirmed', meeting_url = $1, confirmed_at = NOW(), calendar_sequence = calendar_sequence + 1, updated_at = NOW()
+             WHERE session_id = $2 AND status = 'Requested' RETURNING session_id`,
+        [req.body.meetingUrl, sessionId]
+      );
+      if (result.rows.length === 0)
+        return res
+          .status(400)
+          .json({ message: "Only requested sessions can be confirmed." });
+      res.status(200).json({ message: "Session confirmed." });
+
+      notifySession(sessionId, (details) => {
+        createNotification(
+          details.requester_id,
+          "session_confirmed",
+          `${details.provider_name} confirmed your ${details.skill_name} session.`,
+          "/my_sessions"
+        );
+        notifier.send("session_confirmed", details.requester_id, {
+          providerName: details.provider_name,
+          skillName: details.skill_name,
+          sessionDateTime: details.session_date_time,
+          durationMinutes: details.duration_minutes,
+          locationType: details.location_type,
+          meetingUrl: details.meeting_url,
+        });
+      });
+    } catch (error) {
+      res.status(500).json({ message: "Error confirming." });
+    }
+  }
+);
+
+// deny or cancel session
+app.post(
+  "/api/sessions/deny",
+  isAuthenticated,
+  validate({
+    body: {
+      sessionId: v.int(),
+      reason: v.string({ max: 500 }).optional("User action"),
+    },
+  }),
+  authorizeSession("cancel"),
+  async (req, res) => {
+    const session = req.sessionRecord;
+    const sessionId = session.session_id;
+    const { reason } = req.body;
+    if (!["Requested", "Confirmed"].includes(session.status))
+      return res
+        .status(400)
+        .json({ message: "Only upcoming sessions can be cancelled." });
+
+    const newStatus =
+      req.user.id === session.requester_id ? "Cancelled" : "Denied";
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      // the status may have moved on since the row was loaded
+      const result = await client.query(
+        `UPDATE Sessions SET status = $1, cancellation_reason = $2, calendar_sequence = calendar_sequence + 1, updated_at = NOW()
+             WHERE session_id = $3 AND status IN ('Requested', 'Confirmed') RETURNING session_id`,
+        [newStatus, reason, sessionId]
+      );
+      if (result.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res
+          .status(409)
+          .json({ message: "This session has already changed." });
+      }
+      await client.query(
+        "UPDATE Session_Proposals SET status = 'Withdrawn', responded_at = NOW() WHERE session_id = $1 AND status = 'Pending'",
+        [sessionId]
+      );
+      await client.query("COMMIT");
+      res.status(200).json({ message: `Session ${newStatus}.` });
+
+      // tell the other participant
+      notifySession(sessionId, (details) => {
+        const cancelledByRequester = newStatus === "Cancelled";
+        createNotification(
+          cancelledByRequester ? details.provider_id : details.requester_id,
+          `session_${newStatus.toLowerCase()}`,
+          `${
+            cancelledByRequester
+              ? details.requester_name
+              : details.provider_name
+          } ${newStatus.toLowerCase()} the ${details.skill_name} session.`,
+          "/my_sessions"
+        );
+        notifier.send(
+          "session_cancelled",
+          cancelledByRequester ? details.provider_id : details.requester_id,
+          {
+            otherName: cancelledByRequester
+              ? details.requester_name
+              : details.provider_name,
+            skillName: details.skill_name,
+            sessionDateTime: details.session_date_time,
+            status: newStatus,
+            reason: reason && reason !== "User action" ? reason : null,
+          }
+        );
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      res.status(500).json({ message: "Error denying." });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// complete session
+app.post(
+  "/api/sessions/complete",
+  isAuthenticated,
+  validate({ body: { sessionId: v.int() } }),
+  authorizeSession("complete"),
+  async (req, res) => {
+    const session = req.sessionRecord;
+    // once a session is awaiting confirmation only the learner can say it happened
+    if (
+      session.status === "Needs Confirmation" &&
+      req.user.id !== session.requester_id
+    )
+      return res.status(403).json({
+        message: "Only the learner can confirm this session took place.",
+      });
+    const endsAt =
+      new Date(session.session_date_time).getTime() +
+      session.duration_minutes * 60000;
+    if (endsAt > Date.now())
+      return res
+        .status(400)
+        .json({ message: "Sessions can only be completed after they end." });
+
+    try {
+      const result = await pool.query(
+        `UPDATE Sessions SET status = 'Completed', completion_deadline = NULL
+             WHERE session_id = $1 AND status IN ('Confirmed', 'Needs Confirmation')
+             AND session_date_time + duration_minutes * interval '1 minute' <= NOW()
+             RETURNING session_id`,
+        [session.session_id]
+      );
+      if (result.rows.length === 0)
+        return res.status(409).json({
+          message: "Only confirmed sessions that have ended can be completed.",
+        });
+      res.status(200).json({ message: "Session completed." });
+
+      createNotification(
+        req.user.id === session.provider_id
+          ? session.requester_id
+          : session.provider_id,
+        "session_completed",
+        `${req.user.name} marked your session as completed.`,
+        "/my_sessions"
+      );
+    } catch (e) {
+      res.status(500).json({ message: "Server error." });
+    }
+  }
+);
+
+// dispute automatic completion
+app.post(
+  "/api/sessions/dispute",
+  isAuthenticated,
+  validate({ body: { sessionId: v.int(), reason: v.string({ max: 1000 }) } }),
+  authorizeSession("dispute"),
+  async (req, res) => {
+    const session = req.sessionRecord;
+    const { reason } = req.body;
+
+    try {
+      const result = await pool.query(
+        "UPDATE Sessions SET status = 'Disputed', dispute_reason = $1, completion_deadline = NULL WHERE session_id = $2 AND status = 'Needs Confirmation' RETURNING session_id",
+        [reason, session.session_id]
+      );
+      if (result.rows.length === 0)
+        return res.status(400).json({
+          message: "Only sessions awaiting confirmation can be disputed.",
+        });
+      res.status(200).json({ message: "Session disputed." });
+
+      createNotification(
+        session.provider_id,
+        "session_disputed",
+        `${req.user.name} disputed that your session took place.`,
+        "/my_sessions"
+      );
+    } catch (e) {
+      res.status(500).json({ message: "Server error." });
+    }
+  }
+);
+
+// rate session
+app.post(
+  "/api/sessions/rate",
+  isAuthenticated,
+  validate({
+    body: {
+      sessionId: v.int(),
+      likeStatus: v.bool(),
+      feedbackText: v.string({ max: 1000 }).optional(null),
+    },
+  }),
+  authorizeSession("rate"),
+  async (req, res) => {
+    const session = req.sessionRecord;
+    const { likeStatus, feedbackText } = req.body;
+    if (session.status !== "Completed")
+      return res
+        .status(400)
+        .json({ message: "Only completed sessions can be rated." });
+
+    // the student rates their teacher
+    const sessionId = session.session_id;
+    const raterId = req.user.id;
+    const rateeId = session.provider_id;
+    try {
+      await pool.query(
+        "INSERT INTO Ratings (session_id, rater_id, ratee_id, like_status, feedback_text) VALUES ($1, $2, $3, $4, $5)",
+        [sessionId, raterId, rateeId, likeStatus, feedbackText]
+      );
+      res.status(201).json({ message: "Rating submitted." });
+
+      notifySession(sessionId, (details) => {
+        createNotification(
+          rateeId,
+          "rating_received",
+          `${req.user.name} rated your ${
+            details ? details.skill_name : ""
+          } session.`,
+          `/profile/view/${rateeId}`
+        );
+        notifier.send("rating_received", rateeId, {
+          raterName: req.user.name,
+          skillName: details ? details.skill_name : "tutoring",
+          liked: likeStatus === true || likeStatus === "true",
+          feedback: feedbackText || null,
+        });
+      });
+    } catch (e) {
+      if (e.code === "23505")
+        return res.status(409).json({ message: "Already rated." });
+      res.status(500).json({ message: "Error rating." });
+    }
+  }
+);
+
+// download single session as .ics
+app.get(
+  "/session/:id/calendar.ics",
+  isAuthenticated,
+  validate({ params: { id: v.int() } }),
+  authorizeSession("view"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `${SESSION_DETAILS_QUERY} WHERE s.session_id = $1`,
+        [req.params.id]
+      );
+
+      res.set("Content-Type", "text/calendar; charset=utf-8");
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="skillswap-session-${req.params.id}.ics"`
+      );
+      res.send(buildCalendar(result.rows));
+    } catch (e) {
+      res.status(500).send("Error");
+    }
+  }
+);
+
+// build feed url for a token (from APP_URL, never the request's host header)
+function calendarFeedUrl(token) {
+  return `${appUrl}/calendar/${token}.ics`;
+}
+
+// get or create private calendar feed url
+app.get("/api/calendar/feed", isAuthenticated, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE Users SET calendar_token = COALESCE(calendar_token, $1)
+           WHERE user_id = $2 RETURNING calendar_token`,
+      [crypto.randomBytes(24).toString("hex"), req.user.id]
+    );
+    res
+      .status(200)
+      .json({ feedUrl: calendarFeedUrl(result.rows[0].calendar_token) });
+  } catch (e) {
+    res.status(500).json({ message: "Error." });
+  }
+});
+
+// replace calendar token (old links stop working)
+app.post("/api/calendar/feed/reset", isAuthenticated, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString("hex");
+    await pool.query(
+      "UPDATE Users SET calendar_token = $1 WHERE user_id = $2",
+      [token, req.user.id]
+    );
+    res.status(200).json({
+      message: "Calendar link reset.",
+      feedUrl: calendarFeedUrl(token),
+    });
+  } catch (e) {
+    res.status(500).json({ message: "Error." });
+  }
+});
+
+// subscribable calendar feed (token protected, no login)
+app.get(
+  "/calendar/:token.ics",
+  validate({ params: { token: v.string({ max: 100 }) } }),
+  async (req, res) => {
+    try {
+      const userRes = await pool.query(
+        "SELECT user_id, user_name FROM Users WHERE calendar_token = $1",
+        [req.params.token]
+      );
+      if (userRes.rows.length === 0) return res.status(404).send("Not found");
+      const owner = userRes.rows[0];
+
+      // confirmed sessions, plus ones cancelled after confirming
+      const result = await pool.query(
+        `${SESSION_DETAILS_QUERY}
+           WHERE (s.provider_id = $1 OR s.requester_id = $1)
+             AND s.confirmed_at IS NOT NULL
+           ORDER BY s.session_date_time`,
+        [owner.user_id]
+      );
+
+      res.set("Content-Type", "text/calendar; charset=utf-8");
+      res.set("Cache-Control", "private, max-age=300");
+      res.send(
+        buildCalendar(result.rows, {
+          name: `SkillSwap - ${owner.user_name}`,
+        })
+      );
+    } catch (e) {
+      res.status(500).send("Error");
+    }
+  }
+);
+
+// create in-app notification and push it live
+async function createNotification(userId, type, message, link = null) {
+  try {
+    const result = await pool.query(
+      "INSERT INTO Notifications (user_id, type, message, link) VALUES ($1, $2, $3, $4) RETURNING *",
+      [userId, type, message, link]
+    );
+    sendToUser(userId, "notification", { notification: result.rows[0] });
+  } catch (error) {
+    console.error("Notification failed:", error.message);
+  }
+}
+
+// notify about a new message, one unread notification per conversation
+async function notifyNewMessage(message) {
+  const link = `/messages/${message.sender_id}`;
+  const text = `${message.sender_name} sent you a message.`;
+  try {
+    const result = await pool.query(
+      "UPDATE Notifications SET message = $1, created_at = NOW() WHERE user_id = $2 AND type = 'message' AND link = $3 AND is_read = FALSE RETURNING *",
+      [text, message.receiver_id, link]
+    );
+    if (result.rows.length > 0)
+      return sendToUser(message.receiver_id, "notification", {
+        notification: result.rows[0],
+      });
+  } catch (error) {
+    return console.error("Notification failed:", error.message);
+  }
+  await createNotification(message.receiver_id, "message", text, link);
+}
+
+// get notifications
+app.get(
+  "/api/notifications",
+  isAuthenticated,
+  validate({ query: { limit: v.int({ max: 100 }).optional(20) } }),
+  async (req, res) => {
+    const { limit } = req.query;
+    try {
+      const result = await pool.query(
+        "SELECT * FROM Notifications WHERE user_id = $1 ORDER BY created_at DESC, notification_id DESC LIMIT $2",
+        [req.user.id, limit]
+      );
+      const unread = await pool.query(
+        "SELECT COUNT(*)::int AS total FROM Notifications WHERE user_id = $1 AND is_read = FALSE",
+        [req.user.id]
+      );
+      res.status(200).json({
+        notifications: result.rows,
+        unreadTotal: unread.rows[0].total,
+      });
+    } catch (error) {
+      res.status(500).json({ message: "Error fetching notifications." });
+    }
+  }
+);
+
+// mark all notifications read
+app.post("/api/notifications/read-all", isAuthenticated, async (req, res) => {
+  try {
+    await pool.query(
+      "UPDATE Notifications SET is_read = TRUE WHERE user_id = $1 AND is_read = FALSE",
+      [req.user.id]
+    );
+    res.status(200).json({ message: "All notifications read." });
+  } catch (error) {
+    res.status(500).json({ message: "Update failed." });
+  }
+});
+
+// mark one notification read
+app.post(
+  "/api/notifications/:id/read",
+  isAuthenticated,
+  validate({ params: { id: v.int() } }),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "UPDATE Notifications SET is_read = TRUE WHERE notification_id = $1 AND user_id = $2 RETURNING notification_id",
+        [req.params.id, req.user.id]
+      );
+      if (result.rows.length === 0)
+        return res.status(404).json({ message: "Not found." });
+      res.status(200).json({ message: "Notification read." });
+    } catch (error) {
+      res.status(500).json({ message: "Update failed." });
+    }
+  }
+);
+
+// inbox page
+app.get("/messages", isAuthenticated, (req, res) =>
+  res.render("inbox", { pageTitle: "My Inbox", user: req.user })
+);
+
+// chat page
+app.get(
+  "/messages/:id",
+  isAuthenticated,
+  validate({ params: { id: v.int() } }),
+  async (req, res) => {
+    try {
+      const u = await pool.query(
+        "SELECT user_name FROM Users WHERE user_id = $1",
+        [req.params.id]
+      );
+      if (u.rows.length === 0) return res.status(404).send("User not found");
+      res.render("chat", {
+        pageTitle: "Chat",
+        user: req.user,
+        otherUser: { id: req.params.id, name: u.rows[0].user_name },
+      });
+    } catch (e) {
+      res.status(500).send("Error");
+    }
+  }
+);
+
+// get inbox conversations
+app.get("/api/messages/inbox", isAuthenticated, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT recent.*, COALESCE(unread.unread_count, 0)::int AS unread_count
+             FROM (SELECT DISTINCT ON (other_user_id) other_user_id, other_user_name, message_text, timestamp
+                   FROM (SELECT CASE WHEN m.sender_id = $1 THEN m.receiver_id ELSE m.sender_id END AS other_user_id, 
+                                CASE WHEN m.sender_id = $1 THEN r.user_name ELSE s.user_name END AS other_user_name, 
+                                m.message_text, m.timestamp 
+                         FROM Messages m JOIN Users s ON m.sender_id = s.user_id JOIN Users r ON m.receiver_id = r.user_id 
+                         WHERE m.sender_id = $1 OR m.receiver_id = $1) AS thread
+                   ORDER BY other_user_id, timestamp DESC) AS recent
+             LEFT JOIN (SELECT sender_id, COUNT(*) AS unread_count FROM Messages
+                        WHERE receiver_id = $1 AND is_read = FALSE GROUP BY sender_id) AS unread
+               ON unread.sender_id = recent.other_user_id
+             ORDER BY recent.timestamp DESC`,
+      [req.user.id]
+    );
+    const unreadTotal = result.rows.reduce((sum, c) => sum + c.unread_count, 0);
+    res.status(200).json({ conversations: result.rows, unreadTotal });
+  } catch (e) {
+    res.status(500).json({ message: "Error." });
+  }
+});
+
+// get unread total for navbar badge
+app.get("/api/messages/unread", isAuthenticated, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT COUNT(*)::int AS unread_total FROM Messages WHERE receiver_id = $1 AND is_read = FALSE",
+      [req.user.id]
+    );
+    res.status(200).json({ unreadTotal: result.rows[0].unread_total });
+  } catch (e) {
+    res.status(500).json({ message: "Error." });
+  }
+});
+
+// mark messages from other user as read and notify them
+async function markThreadRead(userId, otherUserId) {
+  const result = await pool.query(
+    "UPDATE Messages SET is_read = TRUE WHERE sender_id = $1 AND receiver_id = $2 AND is_read = FALSE RETURNING message_id",
+    [otherUserId, userId]
+  );
+  const messageIds = result.rows.map((r) => r.message_id);
+  if (messageIds.length > 0)
+    sendToUser(otherUserId, "read", { by: userId, messageIds });
+  await pool.query(
+    "UPDATE Notifications SET is_read = TRUE WHERE user_id = $1 AND type = 'message' AND link = $2 AND is_read = FALSE",
+    [userId, `/messages/${otherUserId}`]
+  );
+  return messageIds;
+}
+
+// can a user message another right now: both accounts open, the sender not suspended
+// or banned, no block either way, and age bands close enough (same rules as /api/messages/send)
+async function canReachUser(userId, otherId) {
+  if (userId === otherId) return false;
+  const result = await pool.query(
+    `SELECT user_id, date_of_birth, suspended_until, banned_at FROM Users u
+       WHERE user_id = ANY($1::int[]) AND ${activeSql("u")}`,
+    [[userId, otherId]]
+  );
+  const sender = result.rows.find((u) => u.user_id === userId);
+  const receiver = result.rows.find((u) => u.user_id === otherId);
+  if (!sender || !receiver || restrictionMessage(sender)) return false;
+  if (await isBlockedBetween(userId, otherId)) return false;
+  return canMessage(
+    safetyRules,
+    ageBand(ageOn(sender.date_of_birth)),
+    ageBand(ageOn(receiver.date_of_birth))
+  );
+}
+
+// events sent by the browser over the chat socket
+async function handleRealtimeEvent(userId, event) {
+  const otherId = parseInt(event.type === "read" ? event.from : event.to);
+  if (!otherId) return;
+  if (event.type === "read") await markThreadRead(userId, otherId);
+  // typing indicators are dropped between people who can't message each other
+  if (event.type === "typing" && (await canReachUser(userId, otherId)))
+    sendToUser(otherId, "typing", { from: userId });
+}
+
+// get message history
+app.get(
+  "/api/messages/thread/:otherUserId",
+  isAuthenticated,
+  validate({
+    params: { otherUserId: v.int() },
+    query: { after: v.int({ min: 0 }).optional(0) },
+  }),
+  async (req, res) => {
+    // only return messages newer than this id when polling
+    const afterId = req.query.after;
+    try {
+      const result = await pool.query(
+        `SELECT m.*, u.user_name AS sender_name, u.avatar_style AS sender_avatar_style
+             FROM Messages m JOIN Users u ON m.sender_id = u.user_id 
+             WHERE ((m.sender_id = $1 AND m.receiver_id = $2) OR (m.sender_id = $2 AND m.receiver_id = $1))
+               AND m.message_id > $3
+             ORDER BY m.message_id ASC`,
+        [req.user.id, req.params.otherUserId, afterId]
+      );
+
+      // opening the thread counts as reading it
+      await markThreadRead(req.user.id, req.params.otherUserId);
+      res.status(200).json({ messages: result.rows });
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// mark conversation read (inbox)
+app.post(
+  "/api/messages/thread/:otherUserId/read",
+  isAuthenticated,
+  validate({ params: { otherUserId: v.int() } }),
+  async (req, res) => {
+    try {
+      const messageIds = await markThreadRead(
+        req.user.id,
+        req.params.otherUserId
+      );
+      res
+        .status(200)
+        .json({ message: "Marked as read.", updated: messageIds.length });
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// mark conversation unread (inbox)
+app.post(
+  "/api/messages/thread/:otherUserId/unread",
+  isAuthenticated,
+  validate({ params: { otherUserId: v.int() } }),
+  async (req, res) => {
+    try {
+      // flag the latest message from the other user
+      const result = await pool.query(
+        `UPDATE Messages SET is_read = FALSE WHERE message_id = (
+               SELECT MAX(message_id) FROM Messages WHERE sender_id = $1 AND receiver_id = $2
+             ) RETURNING message_id`,
+        [req.params.otherUserId, req.user.id]
+      );
+      if (result.rows.length === 0)
+        return res.status(404).json({ message: "No messages to mark." });
+      res.status(200).json({ message: "Marked as unread." });
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// send message
+app.post(
+  "/api/messages/send",
+  isAuthenticated,
+  isVerified,
+  hasGuardianConsent,
+  validate({
+    body: {
+      receiverId: v.int(),
+      messageText: v.string({ max: 2000 }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      // closed accounts and age-band limits
+      const receiver = await pool.query(
+        `SELECT date_of_birth FROM Users u WHERE user_id = $1 AND ${activeSql(
+          "u"
+        )}`,
+        [req.body.receiverId]
+      );
+      if (receiver.rows.length === 0)
+        return res.status(404).json({ message: "User not found." });
+      if (await isBlockedBetween(req.user.id, req.body.receiverId))
+        return res.status(403).json({ message: BLOCKED_MESSAGE });
+      if (
+        !canMessage(
+          safetyRules,
+          await currentAgeBand(req),
+          ageBand(ageOn(receiver.rows[0].date_of_birth))
+        )
+      )
+        return res.status(403).json({
+          message: "Messaging isn't allowed between these age groups.",
+        });
+
+      const result = await pool.query(
+        `WITH inserted AS (
+             INSERT INTO Messages (sender_id, receiver_id, message_text) VALUES ($1, $2, $3) RETURNING *
+           )
+           SELECT i.*, u.user_name AS sender_name, u.avatar_style AS sender_avatar_style
+           FROM inserted i JOIN Users u ON i.sender_id = u.user_id`,
+        [req.user.id, req.body.receiverId, req.body.messageText]
+      );
+      const message = result.rows[0];
+
+      // push to both participants
+      sendToUser(message.receiver_id, "message", { message });
+      sendToUser(message.sender_id, "message", { message });
+      res.status(201).json({ message: "Sent.", sent: message });
+      notifyNewMessage(message);
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// record an admin action with what changed, the admin's ip and their optional reason
+// pass the transaction client as db when the change is part of one
+async function logAdminAction(
+  req,
+  { action, table, targetId, before = null, after = null },
+  db = pool
+) {
+  const diff = auditDiff(before, after);
+  await db.query(
+    `INSERT INTO Admin_Logs (admin_id, action_type, target_table, target_id, before_data, after_data, ip_address, reason)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      req.user.id,
+      action,
+      table,
+      targetId,
+      diff.before && JSON.stringify(diff.before),
+      diff.after && JSON.stringify(diff.after),
+      req.ip,
+      (req.body && req.body.reason) || null,
+    ]
+  );
+}
+
+// optional note an admin can attach to any change
+const ADMIN_REASON = v.string({ max: 500 }).optional();
+
+// admin dashboard; sections show by permission
+app.get("/admin", requireAdmin(), (req, res) => {
+  res.render("admin_dashboard", {
+    pageTitle: "Admin Panel",
+    user: req.user,
+    adminRoles: ADMIN_ROLES,
+    restoreWindowDays: RESTORE_WINDOW_DAYS,
+  });
+});
+
+// get all users (admin)
+app.get("/api/admin/users", requireAdmin("manage_users"), async (req, res) => {
+  try {
+    // deleted accounts show who they were while they can still be restored
+    const result = await pool.query(
+      `SELECT u.user_id, u.email, u.user_name, u.grade_level, u.is_admin, u.admin_role, u.is_protected, u.email_verified_at,
+              u.deactivated_at, u.deleted_at, d.restore_until,
+              d.original ->> 'user_name' AS original_name, d.original ->> 'email' AS original_email
+         FROM Users u LEFT JOIN Deleted_Accounts d ON d.user_id = u.user_id AND d.restore_until > NOW()
+        ORDER BY u.user_id ASC`
+    );
+    res.status(200).json({
+      users: result.rows.map((u) => ({
+        ...u,
+        is_protected: isProtectedAccount(u),
+      })),
+      roles: ADMIN_ROLES,
+    });
+  } catch (e) {
+    res.status(500).json({ message: "Error." });
+  }
+});
+
+// set a user's admin role, or "none" for a regular user (admin)
+app.post(
+  "/api/admin/users/:id/role",
+  requireAdmin("manage_roles"),
+  validate({
+    params: { id: v.int() },
+    body: {
+      role: v.oneOf([...Object.keys(ADMIN_ROLES), "none"]),
+      reason: ADMIN_REASON,
+    },
+  }),
+  async (req, res) => {
+    const targetId = req.params.id;
+    const role = req.body.role === "none" ? null : req.body.role;
+    if (targetId === req.user.id)
+      return res.status(400).json({ message: "Cannot change your own role." });
+
+    try {
+      const userCheck = await pool.query(
+        "SELECT email, admin_role, is_protected, deleted_at FROM Users WHERE user_id = $1",
+        [targetId]
+      );
+      const target = userCheck.rows[0];
+      if (!target || target.deleted_at)
+        return res.status(404).json({ message: "Not found." });
+      if (isProtectedAccount(target))
+        return res
+          .status(403)
+          .json({ message: "This account is protected and can't be changed." });
+
+      await pool.query("UPDATE Users SET admin_role = $1 WHERE user_id = $2", [
+        role,
+        targetId,
+      ]);
+      await logAdminAction(req, {
+        action: "Change Role",
+        table: "Users",
+        targetId,
+        before: { admin_role: target.admin_role },
+        after: { admin_role: role },
+      });
+      res.status(200).json({ message: "Role updated." });
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// delete user (admin); soft, so it can be restored within the window
+app.delete(
+  "/api/admin/users/:id",
+  requireAdmin("manage_users"),
+  validate({ params: { id: v.int() }, body: { reason: ADMIN_REASON } }),
+  async (req, res) => {
+    const targetId = req.params.id;
+
+    const client = await pool.connect();
+    try {
+      const target = await pool.query(
+        "SELECT user_name, email, admin_role, is_protected, deleted_at FROM Users WHERE user_id = $1",
+        [targetId]
+      );
+      if (target.rows.length === 0 || target.rows[0].deleted_at)
+        return res.status(404).json({ message: "Not found." });
+      if (isProtectedAccount(target.rows[0]))
+        return res
+          .status(403)
+          .json({ message: "This account is protected and can't be deleted." });
+
+      await client.query("BEGIN");
+      const cancelled = await cancelUpcomingSessions(
+        client,
+        targetId,
+        "Account deleted"
+      );
+      const restoreUntil = await softDeleteUser(client, targetId, req.user.id);
+      const { user_name, email, admin_role } = target.rows[0];
+      await logAdminAction(
+        req,
+        {
+          action: "Delete User",
+          table: "Users",
+          targetId,
+          before: { user_name, email, admin_role },
+          after: { user_name: DELETED_USER_NAME, restore_until: restoreUntil },
+        },
+        client
+      );
+      await client.query("COMMIT");
+      disconnectUser(targetId);
+      res.status(200).json({ message: "User deleted.", restoreUntil });
+      notifyClosedAccountSessions(targetId, cancelled);
+    } catch (e) {
+      await client.query("ROLLBACK");
+      console.error(e);
+      res.status(500).json({ message: "Error." });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// restore a deleted user within the window (admin)
+app.post(
+  "/api/admin/users/:id/restore",
+  requireAdmin("manage_users"),
+  validate({ params: { id: v.int() }, body: { reason: ADMIN_REASON } }),
+  async (req, res) => {
+    const targetId = req.params.id;
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      if (!(await restoreDeletedUser(client, targetId))) {
+        await client.query("ROLLBACK");
+        return res
+          .status(404)
+          .json({ message: "No deleted account to restore." });
+      }
+      const restored = await client.query(
+        "SELECT user_name, email, admin_role FROM Users WHERE user_id = $1",
+        [targetId]
+      );
+      await logAdminAction(
+        req,
+        {
+          action: "Restore User",
+          table: "Users",
+          targetId,
+          before: { user_name: DELETED_USER_NAME },
+          after: restored.rows[0],
+        },
+        client
+      );
+      await client.query("COMMIT");
+      res.status(200).json({ message: "User restored." });
+    } catch (e) {
+      await client.query("ROLLBACK");
+      if (e.code === "23505")
+        return res.status(409).json({ message: EMAIL_TAKEN_MESSAGE });
+      console.error(e);
+      res.status(500).json({ message: "Error." });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// get reports (admin), newest first; ?status= narrows to one step of the workflow
+app.get(
+  "/api/admin/reports",
+  requireAdmin("manage_reports"),
+  validate({ query: { status: v.oneOf(REPORT_STATUSES).optional() } }),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT r.*, reporter.user_name AS reporter_name, reported.user_name AS reported_user_name,
+                reported.suspended_until, reported.banned_at, assignee.user_name AS assignee_name
+           FROM Reports r
+           JOIN Users reporter ON r.reporter_id = reporter.user_id
+           JOIN Users reported ON r.reported_user_id = reported.user_id
+           LEFT JOIN Users assignee ON r.assigned_to = assignee.user_id
+          WHERE $1::varchar IS NULL OR r.report_status = $1
+          ORDER BY r.timestamp DESC`,
+        [req.query.status || null]
+      );
+      res.status(200).json({
+        reports: result.rows,
+        categories: REPORT_CATEGORIES,
+        transitions: REPORT_TRANSITIONS,
+      });
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// one report with its notes, linked message or session, and past actions on the user (admin)
+app.get(
+  "/api/admin/reports/:id",
+  requireAdmin("manage_reports"),
+  validate({ params: { id: v.int() } }),
+  async (req, res) => {
+    try {
+      const reportResult = await pool.query(
+        `SELECT r.*, reporter.user_name AS reporter_name, reported.user_name AS reported_user_name,
+                reported.suspended_until, reported.banned_at, assignee.user_name AS assignee_name
+           FROM Reports r
+           JOIN Users reporter ON r.reporter_id = reporter.user_id
+           JOIN Users reported ON r.reported_user_id = reported.user_id
+           LEFT JOIN Users assignee ON r.assigned_to = assignee.user_id
+          WHERE r.report_id = $1`,
+        [req.params.id]
+      );
+      const report = reportResult.rows[0];
+      if (!report) return res.status(404).json({ message: "Not found." });
+
+      const notes = await pool.query(
+        `SELECT n.note_id, n.note, n.created_at, u.user_name AS admin_name
+           FROM Report_Notes n LEFT JOIN Users u ON n.admin_id = u.user_id
+          WHERE n.report_id = $1 ORDER BY n.created_at ASC`,
+        [report.report_id]
+      );
+      const message = report.message_id
+        ? await pool.query(
+            "SELECT message_id, sender_id, receiver_id, message_text, timestamp FROM Messages WHERE message_id = $1",
+            [report.message_id]
+          )
+        : { rows: [] };
+      const session = report.session_id
+        ? await pool.query(
+            `SELECT s.session_id, s.provider_id, s.requester_id, s.session_date_time, s.location_type, s.status,
+                    sk.skill_name
+               FROM Sessions s JOIN Skills sk ON s.skill_taught_id = sk.skill_id
+              WHERE s.session_id = $1`,
+            [report.session_id]
+          )
+        : { rows: [] };
+      const actions = await pool.query(
+        `SELECT a.action_id, a.action_type, a.reason, a.expires_at, a.created_at, a.report_id,
+                u.user_name AS admin_name
+           FROM Moderation_Actions a LEFT JOIN Users u ON a.admin_id = u.user_id
+          WHERE a.user_id = $1 ORDER BY a.created_at DESC`,
+        [report.reported_user_id]
+      );
+
+      res.status(200).json({
+        report,
+        notes: notes.rows,
+        message: message.rows[0] || null,
+        session: session.rows[0] || null,
+        actions: actions.rows,
+        nextStatuses: REPORT_TRANSITIONS[report.report_status] || [],
+      });
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// update report status (admin); only moves the workflow allows
+app.post(
+  "/api/admin/report/:id/status",
+  requireAdmin("manage_reports"),
+  validate({
+    params: { id: v.int() },
+    body: { newStatus: v.oneOf(REPORT_STATUSES), reason: ADMIN_REASON },
+  }),
+  async (req, res) => {
+    const { newStatus } = req.body;
+    try {
+      const current = await pool.query(
+        "SELECT report_status FROM Reports WHERE report_id = $1",
+        [req.params.id]
+      );
+      if (current.rows.length === 0)
+        return res.status(404).json({ message: "Not found." });
+      const oldStatus = current.rows[0].report_status;
+      if (!canTransition(oldStatus, newStatus))
+        return res.status(409).json({
+          message: `Can't move a report from ${oldStatus} to ${newStatus}.`,
+        });
+
+      // the old status in the where clause stops two moderators racing
+      const result = await pool.query(
+        `UPDATE Reports SET report_status = $1, updated_at = NOW()
+          WHERE report_id = $2 AND report_status = $3 RETURNING reporter_id`,
+        [newStatus, req.params.id, oldStatus]
+      );
+      if (result.rows.length === 0)
+        return res
+          .status(409)
+          .json({ message: "The report was changed by someone else." });
+      await logAdminAction(req, {
+        action: "Update Report",
+        table: "Reports",
+        targetId: req.params.id,
+        before: { report_status: oldStatus },
+        after: { report_status: newStatus },
+      });
+      res.status(200).json({ message: "Report updated." });
+
+      createNotification(
+        result.rows[0].reporter_id,
+        "report_status",
+        `Your report was marked "${newStatus}".`
+      );
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// hand a report to a moderator, or unassign with null (admin)
+app.post(
+  "/api/admin/reports/:id/assign",
+  requireAdmin("manage_reports"),
+  validate({
+    params: { id: v.int() },
+    body: { assigneeId: v.int().optional(null), reason: ADMIN_REASON },
+  }),
+  async (req, res) => {
+    const { assigneeId } = req.body;
+    try {
+      if (assigneeId !== null) {
+        const assignee = await pool.query(
+          "SELECT admin_role FROM Users WHERE user_id = $1",
+          [assigneeId]
+        );
+        if (
+          !assignee.rows[0] ||
+          !roleCan(assignee.rows[0].admin_role, "manage_reports")
+        )
+          return fieldError(
+            res,
+            "assigneeId",
+            "not_admin",
+            "Reports can only be assigned to moderators."
+          );
+      }
+      // the from-subquery reads the row as it was before the update
+      const result = await pool.query(
+        `UPDATE Reports r SET assigned_to = $1, updated_at = NOW()
+           FROM (SELECT assigned_to FROM Reports WHERE report_id = $2) old
+          WHERE r.report_id = $2 RETURNING old.assigned_to AS previous`,
+        [assigneeId, req.params.id]
+      );
+      if (result.rows.length === 0)
+        return res.status(404).json({ message: "Not found." });
+      await logAdminAction(req, {
+        action: "Assign Report",
+        table: "Reports",
+        targetId: req.params.id,
+        before: { assigned_to: result.rows[0].previous },
+        after: { assigned_to: assigneeId },
+      });
+      res.status(200).json({ message: "Report assigned." });
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// add a moderator note to a report (admin)
+app.post(
+  "/api/admin/reports/:id/notes",
+  requireAdmin("manage_reports"),
+  validate({
+    params: { id: v.int() },
+    body: { note: v.string({ max: 2000 }) },
+  }),
+  async (req, res) => {
+    try {
+      const report = await pool.query(
+        "SELECT report_id FROM Reports WHERE report_id = $1",
+        [req.params.id]
+      );
+      if (report.rows.length === 0)
+        return res.status(404).json({ message: "Not found." });
+      const result = await pool.query(
+        "INSERT INTO Report_Notes (report_id, admin_id, note) VALUES ($1, $2, $3) RETURNING note_id, note, created_at",
+        [req.params.id, req.user.id, req.body.note]
+      );
+      await pool.query(
+        "UPDATE Reports SET updated_at = NOW() WHERE report_id = $1",
+        [req.params.id]
+      );
+      await logAdminAction(req, {
+        action: "Add Report Note",
+        table: "Reports",
+        targetId: req.params.id,
+        after: { note_id: result.rows[0].note_id, note: req.body.note },
+      });
+      res
+        .status(201)
+        .json({ note: { ...result.rows[0], admin_name: req.user.name } });
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+const MODERATION_LOG_ACTIONS = {
+  warn: "Warn User",
+  suspend: "Suspend User",
+  ban: "Ban User",
+  reinstate: "Reinstate User",
+};
+
+// warn, suspend or ban a user (admin); suspension and bans end their sessions
+app.post(
+  "/api/admin/users/:id/moderate",
+  requireAdmin("manage_reports"),
+  validate({
+    params: { id: v.int() },
+    body: {
+      action: v.oneOf(MODERATION_ACTIONS),
+      reason: v.string({ max: 500 }),
+      days: v.int({ max: MAX_SUSPENSION_DAYS }).optional(),
+      reportId: v.int().optional(null),
+    },
+  }),
+  async (req, res) => {
+    const targetId = req.params.id;
+    const { action, reason, days, reportId } = req.body;
+    if (action === "suspend" && !days)
+      return fieldError(
+        res,
+        "days",
+        "required",
+        "Days is required for a suspension."
+      );
+
+    const client = await pool.connect();
+    try {
+      const target = await client.query(
+        "SELECT is_admin, suspended_until, banned_at FROM Users WHERE user_id = $1",
+        [targetId]
+      );
+      if (target.rows.length === 0)
+        return res.status(404).json({ message: "Not found." });
+      if (target.rows[0].is_admin)
+        return res.status(403).json({ message: "Admins can't be moderated." });
+      if (reportId !== null) {
+        const report = await client.query(
+          "SELECT 1 FROM Reports WHERE report_id = $1 AND reported_user_id = $2",
+          [reportId, targetId]
+        );
+        if (report.rows.length === 0)
+          return fieldError(
+            res,
+            "reportId",
+            "not_found",
+            "That report isn't about this user."
+          );
+      }
+
+      const expiresAt =
+        action === "suspend"
+          ? new Date(Date.now() + days * 24 * 3600 * 1000)
+          : null;
+      await client.query("BEGIN");
+      const result = await client.query(
+        `INSERT INTO Moderation_Actions (user_id, admin_id, report_id, action_type, reason, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [targetId, req.user.id, reportId, action, reason, expiresAt]
+      );
+      const { suspended_until, banned_at } = target.rows[0];
+      const before = { suspended_until, banned_at };
+      let after = before;
+      if (action === "suspend")
+        after = (
+          await client.query(
+            "UPDATE Users SET suspended_until = $2 WHERE user_id = $1 RETURNING suspended_until, banned_at",
+            [targetId, expiresAt]
+          )
+        ).rows[0];
+      if (action === "ban")
+        after = (
+          await client.query(
+            "UPDATE Users SET banned_at = COALESCE(banned_at, NOW()) WHERE user_id = $1 RETURNING suspended_until, banned_at",
+            [targetId]
+          )
+        ).rows[0];
+      if (action !== "warn")
+        await client.query(
+          "DELETE FROM session WHERE (sess::jsonb -> 'user' ->> 'id') = $1::text",
+          [targetId]
+        );
+      await logAdminAction(
+        req,
+        {
+          action: MODERATION_LOG_ACTIONS[action],
+          table: "Users",
+          targetId,
+          before,
+          after: { ...after, moderation_action_id: result.rows[0].action_id },
+        },
+        client
+      );
+      await client.query("COMMIT");
+      res.status(201).json({ action: result.rows[0] });
+
+      if (action === "warn")
+        createNotification(
+          targetId,
+          "moderation_warning",
+          `You received a warning from the moderators: ${reason}`
+        );
+      else disconnectUser(targetId);
+    } catch (e) {
+      await client.query("ROLLBACK");
+      console.error(e);
+      res.status(500).json({ message: "Error." });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// lift a suspension or ban (admin)
+app.post(
+  "/api/admin/users/:id/reinstate",
+  requireAdmin("manage_reports"),
+  validate({
+    params: { id: v.int() },
+    body: { reason: v.string({ max: 500 }) },
+  }),
+  async (req, res) => {
+    const targetId = req.params.id;
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await client.query(
+        `UPDATE Users u SET suspended_until = NULL, banned_at = NULL
+           FROM (SELECT suspended_until, banned_at FROM Users WHERE user_id = $1) old
+          WHERE u.user_id = $1 AND (u.banned_at IS NOT NULL OR u.suspended_until > NOW())
+          RETURNING old.suspended_until, old.banned_at`,
+        [targetId]
+      );
+      if (result.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .json({ message: "This user isn't suspended or banned." });
+      }
+      await client.query(
+        "INSERT INTO Moderation_Actions (user_id, admin_id, action_type, reason) VALUES ($1, $2, 'reinstate', $3)",
+        [targetId, req.user.id, req.body.reason]
+      );
+      await logAdminAction(
+        req,
+        {
+          action: "Reinstate User",
+          table: "Users",
+          targetId,
+          before: result.rows[0],
+          after: { suspended_until: null, banned_at: null },
+        },
+        client
+      );
+      await client.query("COMMIT");
+      res.status(200).json({ message: "User reinstated." });
+    } catch (e) {
+      await client.query("ROLLBACK");
+      res.status(500).json({ message: "Error." });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// submit user report, optionally pointing at the message or session it's about
+app.post(
+  "/api/reports",
+  isAuthenticated,
+  validate({
+    body: {
+      reportedUserId: v.int(),
+      category: v.oneOf(Object.keys(REPORT_CATEGORIES)).optional("other"),
+      reason: v.string({ max: 255 }),
+      messageId: v.int().optional(null),
+      sessionId: v.int().optional(null),
+    },
+  }),
+  async (req, res) => {
+    const { reportedUserId, category, reason, messageId, sessionId } = req.body;
+    if (reportedUserId === req.user.id)
+      return res.status(400).json({ message: "You can't report yourself." });
+
+    try {
+      // linked items must be between the reporter and the reported user
+      if (messageId !== null) {
+        const message = await pool.query(
+          `SELECT 1 FROM Messages WHERE message_id = $1
+              AND ((sender_id = $2 AND receiver_id = $3) OR (sender_id = $3 AND receiver_id = $2))`,
+          [messageId, req.user.id, reportedUserId]
+        );
+        if (message.rows.length === 0)
+          return fieldError(
+            res,
+            "messageId",
+            "not_found",
+            "That message isn't part of your conversation with this user."
+          );
+      }
+      if (sessionId !== null) {
+        const session = await pool.query(
+          `SELECT 1 FROM Sessions WHERE session_id = $1
+              AND ((provider_id = $2 AND requester_id = $3) OR (provider_id = $3 AND requester_id = $2))`,
+          [sessionId, req.user.id, reportedUserId]
+        );
+        if (session.rows.length === 0)
+          return fieldError(
+            res,
+            "sessionId",
+            "not_found",
+            "That session isn't one you had with this user."
+          );
+      }
+
+      await pool.query(
+        `INSERT INTO Reports (reporter_id, reported_user_id, report_reason, report_status, category, message_id, session_id)
+         VALUES ($1, $2, $3, 'New', $4, $5, $6)`,
+        [req.user.id, reportedUserId, reason, category, messageId, sessionId]
+      );
+      res.status(201).json({ message: "Report sent." });
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// users I've blocked
+app.get("/api/blocks", isAuthenticated, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.user_id, u.user_name, u.avatar_style, b.created_at
+         FROM User_Blocks b JOIN Users u ON b.blocked_id = u.user_id
+         WHERE b.blocker_id = $1 ORDER BY b.created_at DESC`,
+      [req.user.id]
+    );
+    res.status(200).json({ blocks: result.rows });
+  } catch (e) {
+    res.status(500).json({ message: "Error fetching blocked users." });
+  }
+});
+
+// block a user
+app.post(
+  "/api/blocks/:userId",
+  isAuthenticated,
+  validate({ params: { userId: v.int() } }),
+  async (req, res) => {
+    const { userId } = req.params;
+    if (userId === req.user.id)
+      return fieldError(res, "userId", "invalid_choice", "Cannot block self.");
+    try {
+      const target = await pool.query(
+        "SELECT user_id FROM Users WHERE user_id = $1",
+        [userId]
+      );
+      if (target.rows.length === 0)
+        return res.status(404).json({ message: "User not found." });
+
+      await pool.query(
+        "INSERT INTO User_Blocks (blocker_id, blocked_id) VALUES ($1, $2) ON CONFLICT DO NOTHING",
+        [req.user.id, userId]
+      );
+      res.status(201).json({ message: "User blocked." });
+    } catch (e) {
+      res.status(500).json({ message: "Error blocking user." });
+    }
+  }
+);
+
+// unblock a user
+app.delete(
+  "/api/blocks/:userId",
+  isAuthenticated,
+  validate({ params: { userId: v.int() } }),
+  async (req, res) => {
+    try {
+      await pool.query(
+        "DELETE FROM User_Blocks WHERE blocker_id = $1 AND blocked_id = $2",
+        [req.user.id, req.params.userId]
+      );
+      res.status(200).json({ message: "User unblocked." });
+    } catch (e) {
+      res.status(500).json({ message: "Error unblocking user." });
+    }
+  }
+);
+
+// filters shared by the log list and the export
+const AUDIT_FILTERS = {
+  adminId: v.int().optional(),
+  action: v.string({ max: 50 }).optional(),
+  table: v.string({ max: 50 }).optional(),
+  from: v.date().optional(),
+  to: v.date().optional(),
+};
+
+const AUDIT_LOG_QUERY = `SELECT l.log_id, l.timestamp, l.admin_id, u.user_name AS admin_name, l.action_type,
+         l.target_table, l.target_id, l.reason, l.ip_address, l.before_data, l.after_data
+    FROM Admin_Logs l
+    LEFT JOIN Users u ON l.admin_id = u.user_id`;
+
+// get audit logs (admin), newest first, a page at a time
+app.get(
+  "/api/admin/logs",
+  requireAdmin("view_audit_log"),
+  validate({
+    query: {
+      ...AUDIT_FILTERS,
+      page: v.int().optional(1),
+      pageSize: v.int({ max: AUDIT_MAX_PAGE_SIZE }).optional(AUDIT_PAGE_SIZE),
+    },
+  }),
+  async (req, res) => {
+    const { page, pageSize } = req.query;
+    const { where, params } = auditFilterSql(req.query);
+    try {
+      const result = await pool.query(
+        `${AUDIT_LOG_QUERY} ${where}
+          ORDER BY l.timestamp DESC, l.log_id DESC
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, pageSize, (page - 1) * pageSize]
+      );
+      const count = await pool.query(
+        `SELECT COUNT(*)::int AS total FROM Admin_Logs l ${where}`,
+        params
+      );
+      // choices for the filter menus
+      const choices = await pool.query(
+        `SELECT ARRAY(SELECT DISTINCT action_type FROM Admin_Logs ORDER BY 1) AS actions,
+                ARRAY(SELECT DISTINCT target_table FROM Admin_Logs WHERE target_table IS NOT NULL ORDER BY 1) AS tables`
+      );
+      res.status(200).json({
+        logs: result.rows,
+        page,
+        pageSize,
+        total: count.rows[0].total,
+        actions: choices.rows[0].actions,
+        tables: choices.rows[0].tables,
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ message: "Error fetching logs." });
+    }
+  }
+);
+
+// download the filtered audit log as csv or json (admin)
+app.get(
+  "/api/admin/logs/export",
+  requireAdmin("view_audit_log"),
+  validate({
+    query: {
+      ...AUDIT_FILTERS,
+      format: v.oneOf(["csv", "json"]).optional("csv"),
+    },
+  }),
+  async (req, res) => {
+    const { where, params } = auditFilterSql(req.query);
+    try {
+      const result = await pool.query(
+        `${AUDIT_LOG_QUERY} ${where}
+          ORDER BY l.timestamp DESC, l.log_id DESC LIMIT $${params.length + 1}`,
+        [...params, AUDIT_EXPORT_LIMIT]
+      );
+      const filename = `skillswap-audit-log-${new Date()
+        .toISOString()
+        .slice(0, 10)}.${req.query.format}`;
+      res.set("Content-Disposition", `attachment; filename="${filename}"`);
+      if (req.query.format === "json")
+        return res.status(200).json({ logs: result.rows });
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.status(200).send(toCsv(result.rows));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ message: "Error exporting logs." });
+    }
+  }
+);
+
+// get account lockouts and recent failed logins (admin)
+app.get(
+  "/api/admin/lockouts",
+  requireAdmin("manage_users"),
+  async (req, res) => {
+    try {
+      const accounts = await pool.query(
+        `SELECT user_id, user_name, email, failed_login_count, locked_until
+           FROM Users WHERE failed_login_count > 0
+           ORDER BY locked_until DESC NULLS LAST, failed_login_count DESC`
+      );
+      const ips = await pool.query(
+        `SELECT ip_address, COUNT(*)::int AS failures, MAX(attempted_at) AS last_attempt
+           FROM Login_Attempts
+           WHERE outcome <> 'ip_blocked' AND attempted_at > NOW() - make_interval(mins => $1::int)
+           GROUP BY ip_address HAVING COUNT(*) >= $2
+           ORDER BY failures DESC`,
+        [IP_WINDOW_MINUTES, IP_FAILURE_LIMIT]
+      );
+      const attempts = await pool.query(
+        `SELECT a.attempt_id, a.email, a.user_id, a.ip_address, a.outcome, a.attempted_at, u.user_name
+           FROM Login_Attempts a LEFT JOIN Users u ON a.user_id = u.user_id
+           ORDER BY a.attempted_at DESC LIMIT 50`
+      );
+      res.status(200).json({
+        lockouts: accounts.rows,
+        blockedIps: ips.rows,
+        attempts: attempts.rows,
+      });
+    } catch (e) {
+      res.status(500).json({ message: "Error fetching lockouts." });
+    }
+  }
+);
+
+// clear an account lockout (admin)
+app.post(
+  "/api/admin/lockouts/:id/clear",
+  requireAdmin("manage_users"),
+  validate({ params: { id: v.int() }, body: { reason: ADMIN_REASON } }),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `UPDATE Users u SET failed_login_count = 0, locked_until = NULL
+           FROM (SELECT failed_login_count, locked_until FROM Users WHERE user_id = $1) old
+          WHERE u.user_id = $1 RETURNING old.failed_login_count, old.locked_until`,
+        [req.params.id]
+      );
+      if (result.rows.length === 0)
+        return res.status(404).json({ message: "Not found." });
+      await logAdminAction(req, {
+        action: "Clear Lockout",
+        table: "Users",
+        targetId: req.params.id,
+        before: result.rows[0],
+        after: { failed_login_count: 0, locked_until: null },
+      });
+      res.status(200).json({ message: "Lockout cleared." });
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// get migration status (admin)
+app.get(
+  "/api/admin/migrations",
+  requireAdmin("view_system"),
+  async (req, res) => {
+    try {
+      const migrations = await migrationStatus(pool);
+      res.status(200).json({
+        migrations,
+        pending: migrations.filter((m) => !m.appliedAt).length,
+      });
+    } catch (e) {
+      res.status(500).json({ message: "Error fetching migrations." });
+    }
+  }
+);
+
+// get skill suggestions (admin)
+app.get(
+  "/api/admin/suggestions",
+  requireAdmin("manage_skills"),
+  async (req, res) => {
+    try {
+      const res1 = await pool.query(
+        "SELECT s.*, u.user_name AS suggesting_user FROM Skill_Suggestions s LEFT JOIN Users u ON s.suggesting_user_id = u.user_id WHERE s.status = 'Pending'"
+      );
+      res.status(200).json({ suggestions: res1.rows });
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// approve/reject skill suggestion (admin)
+app.post(
+  "/api/admin/suggestions/action",
+  requireAdmin("manage_skills"),
+  validate({
+    body: {
+      suggestionId: v.int(),
+      action: v.oneOf(["approve", "reject"]),
+      reason: ADMIN_REASON,
+    },
+  }),
+  async (req, res) => {
+    const { suggestionId, action } = req.body;
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const s = await client.query(
+        "SELECT suggested_skill_name, suggesting_user_id, status FROM Skill_Suggestions WHERE suggestion_id = $1",
+        [suggestionId]
+      );
+      if (s.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ message: "Suggestion not found." });
+      }
+
+      // another admin may have handled it already
+      const status = action === "approve" ? "Approved" : "Rejected";
+      const updated = await client.query(
+        "UPDATE Skill_Suggestions SET status = $1 WHERE suggestion_id = $2 AND status = 'Pending'",
+        [status, suggestionId]
+      );
+      if (updated.rowCount === 0) {
+        await client.query("ROLLBACK");
+        return res
+          .status(409)
+          .json({ message: "This suggestion has already been handled." });
+      }
+
+      if (action === "approve") {
+        // an alias added since the suggestion may already cover it
+        const existing = await findSkillByName(
+          client,
+          s.rows[0].suggested_skill_name
+        );
+        if (existing) {
+          await client.query("ROLLBACK");
+          return res.status(409).json({
+            message: `That skill is already listed as "${existing.skill_name}". Reject the suggestion instead.`,
+          });
+        }
+        await client.query("INSERT INTO Skills (skill_name) VALUES ($1)", [
+          s.rows[0].suggested_skill_name,
+        ]);
+      }
+
+      await logAdminAction(
+        req,
+        {
+          action: action === "approve" ? "Approve Skill" : "Reject Skill",
+          table: "Skill_Suggestions",
+          targetId: suggestionId,
+          before: {
+            skill_name: s.rows[0].suggested_skill_name,
+            status: s.rows[0].status,
+          },
+          after: { skill_name: s.rows[0].suggested_skill_name, status },
+        },
+        client
+      );
+
+      await client.query("COMMIT");
+      res.status(200).json({ message: "Processed." });
+
+      // let the suggester know
+      const suggestion = s.rows[0];
+      if (suggestion.suggesting_user_id)
+        createNotification(
+          suggestion.suggesting_user_id,
+          "skill_suggestion",
+          action === "approve"
+            ? `Your suggested skill "${suggestion.suggested_skill_name}" was approved. You can add it to your profile now.`
+            : `Your suggested skill "${suggestion.suggested_skill_name}" was not approved.`,
+          action === "approve" ? "/profile/edit" : null
+        );
+    } catch (e) {
+      await client.query("ROLLBACK");
+      res.status(500).json({ message: "Error." });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// answer 409 if a name is already a skill or alias (other than exceptSkillId)
+async function skillNameTaken(res, name, exceptSkillId = null) {
+  const existing = await findSkillByName(pool, name);
+  if (!existing || existing.skill_id === exceptSkillId) return false;
+  res.status(409).json({
+    message: `"${name}" is already taken by the skill "${existing.skill_name}".`,
+  });
+  return true;
+}
+
+// skill catalog with categories, aliases and how much each skill is used (admin)
+app.get(
+  "/api/admin/skills",
+  requireAdmin("manage_skills"),
+  async (req, res) => {
+    try {
+      const [skills, categories] = await Promise.all([
+        pool.query(
+          `SELECT list.*,
+                (SELECT COUNT(*) FROM User_Skills_Offered WHERE skill_id = list.skill_id)::int AS offered_count,
+                (SELECT COUNT(*) FROM User_Skills_Sought WHERE skill_id = list.skill_id)::int AS sought_count,
+                (SELECT COUNT(*) FROM Sessions WHERE skill_taught_id = list.skill_id)::int AS session_count
+           FROM (${SKILL_LIST_QUERY}) list`
+        ),
+        pool.query(
+          "SELECT category_id, category_name FROM Skill_Categories ORDER BY category_name"
+        ),
+      ]);
+      res.status(200).json({
+        skills: skills.rows,
+        categories: categories.rows,
+      });
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// add a skill category (admin)
+app.post(
+  "/api/skill-categories",
+  requireAdmin("manage_skills"),
+  validate({
+    body: { categoryName: v.string({ max: 50 }), reason: ADMIN_REASON },
+  }),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `INSERT INTO Skill_Categories (category_name) VALUES ($1)
+           ON CONFLICT (category_name) DO NOTHING RETURNING category_id, category_name`,
+        [req.body.categoryName]
+      );
+      if (result.rows.length === 0)
+        return res
+          .status(409)
+          .json({ message: "That category already exists." });
+      await logAdminAction(req, {
+        action: "Create Skill Category",
+        table: "Skill_Categories",
+        targetId: result.rows[0].category_id,
+        after: result.rows[0],
+      });
+      res.status(201).json({ category: result.rows[0] });
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// create skill manually (admin)
+app.post(
+  "/api/skills",
+  requireAdmin("manage_skills"),
+  validate({
+    body: {
+      skillName: v.string({ max: 50 }),
+      categoryId: v.int().optional(null),
+      reason: ADMIN_REASON,
+    },
+  }),
+  async (req, res) => {
+    try {
+      if (await skillNameTaken(res, req.body.skillName)) return;
+      const result = await pool.query(
+        "INSERT INTO Skills (skill_name, category_id) VALUES ($1, $2) RETURNING skill_id, skill_name, category_id",
+        [req.body.skillName, req.body.categoryId]
+      );
+      await logAdminAction(req, {
+        action: "Create Skill",
+        table: "Skills",
+        targetId: result.rows[0].skill_id,
+        after: result.rows[0],
+      });
+      res
+        .status(201)
+        .json({ message: "Skill created.", skill: result.rows[0] });
+    } catch (e) {
+      // foreign key: the category doesn't exist
+      if (e.code === "23503")
+        return fieldError(
+          res,
+          "categoryId",
+          "not_found",
+          "That category doesn't exist."
+        );
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// update skill name (admin)
+app.put(
+  "/api/skills/:id",
+  requireAdmin("manage_skills"),
+  validate({
+    params: { id: v.int() },
+    body: { skillName: v.string({ max: 50 }), reason: ADMIN_REASON },
+  }),
+  async (req, res) => {
+    try {
+      if (await skillNameTaken(res, req.body.skillName, req.params.id)) return;
+      const result = await pool.query(
+        `UPDATE Skills s SET skill_name = $1
+           FROM (SELECT skill_name FROM Skills WHERE skill_id = $2) old
+          WHERE s.skill_id = $2 RETURNING old.skill_name`,
+        [req.body.skillName, req.params.id]
+      );
+      if (result.rows.length === 0)
+        return res.status(404).json({ message: "Not found." });
+      await logAdminAction(req, {
+        action: "Update Skill",
+        table: "Skills",
+        targetId: req.params.id,
+        before: result.rows[0],
+        after: { skill_name: req.body.skillName },
+      });
+      res.status(200).json({ message: "Skill updated." });
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// put a skill in a category, or none (admin)
+app.put(
+  "/api/skills/:id/category",
+  requireAdmin("manage_skills"),
+  validate({
+    params: { id: v.int() },
+    body: { categoryId: v.int().optional(null), reason: ADMIN_REASON },
+  }),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `UPDATE Skills s SET category_id = $1
+           FROM (SELECT category_id FROM Skills WHERE skill_id = $2) old
+          WHERE s.skill_id = $2 RETURNING old.category_id`,
+        [req.body.categoryId, req.params.id]
+      );
+      if (result.rows.length === 0)
+        return res.status(404).json({ message: "Not found." });
+      await logAdminAction(req, {
+        action: "Update Skill",
+        table: "Skills",
+        targetId: req.params.id,
+        before: result.rows[0],
+        after: { category_id: req.body.categoryId },
+      });
+      res.status(200).json({ message: "Category updated." });
+    } catch (e) {
+      if (e.code === "23503")
+        return fieldError(
+          res,
+          "categoryId",
+          "not_found",
+          "That category doesn't exist."
+        );
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// add another name for a skill (admin)
+app.post(
+  "/api/skills/:id/aliases",
+  requireAdmin("manage_skills"),
+  validate({
+    params: { id: v.int() },
+    body: { alias: v.string({ max: 50 }), reason: ADMIN_REASON },
+  }),
+  async (req, res) => {
+    try {
+      if (await skillNameTaken(res, req.body.alias)) return;
+      const result = await pool.query(
+        `INSERT INTO Skill_Aliases (skill_id, alias)
+           SELECT skill_id, $2 FROM Skills WHERE skill_id = $1
+           RETURNING alias_id, skill_id, alias`,
+        [req.params.id, req.body.alias]
+      );
+      if (result.rows.length === 0)
+        return res.status(404).json({ message: "Not found." });
+      await logAdminAction(req, {
+        action: "Add Skill Alias",
+        table: "Skill_Aliases",
+        targetId: result.rows[0].alias_id,
+        after: result.rows[0],
+      });
+      res.status(201).json({ alias: result.rows[0] });
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// remove a skill alias (admin)
+app.delete(
+  "/api/skills/:id/aliases/:aliasId",
+  requireAdmin("manage_skills"),
+  validate({
+    params: { id: v.int(), aliasId: v.int() },
+    body: { reason: ADMIN_REASON },
+  }),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "DELETE FROM Skill_Aliases WHERE alias_id = $1 AND skill_id = $2 RETURNING alias_id, skill_id, alias",
+        [req.params.aliasId, req.params.id]
+      );
+      if (result.rows.length === 0)
+        return res.status(404).json({ message: "Not found." });
+      await logAdminAction(req, {
+        action: "Remove Skill Alias",
+        table: "Skill_Aliases",
+        targetId: req.params.aliasId,
+        before: result.rows[0],
+      });
+      res.status(200).json({ message: "Alias removed." });
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// merge a duplicate skill into another; unlike delete, nobody loses anything (admin)
+app.post(
+  "/api/skills/:id/merge",
+  requireAdmin("manage_skills"),
+  validate({
+    params: { id: v.int() },
+    body: { targetId: v.int(), reason: ADMIN_REASON },
+  }),
+  async (req, res) => {
+    const sourceId = req.params.id;
+    const { targetId } = req.body;
+    if (sourceId === targetId)
+      return fieldError(
+        res,
+        "targetId",
+        "same_skill",
+        "Pick a different skill to merge into."
+      );
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      // lock both so a concurrent merge or delete can't interleave
+      const skills = await client.query(
+        "SELECT skill_id, skill_name FROM Skills WHERE skill_id = ANY($1) FOR UPDATE",
+        [[sourceId, targetId]]
+      );
+      const source = skills.rows.find((s) => s.skill_id === sourceId);
+      const target = skills.rows.find((s) => s.skill_id === targetId);
+      if (!source || !target) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ message: "Not found." });
+      }
+
+      const moved = await mergeSkills(client, sourceId, targetId);
+      await logAdminAction(
+        req,
+        {
+          action: "Merge Skill",
+          table: "Skills",
+          targetId: sourceId,
+          before: { skill_name: source.skill_name },
+          after: { merged_into: target.skill_name, ...moved },
+        },
+        client
+      );
+      await client.query("COMMIT");
+      res.status(200).json({
+        message: `"${source.skill_name}" was merged into "${target.skill_name}".`,
+        moved,
+      });
+    } catch (e) {
+      await client.query("ROLLBACK");
+      console.error(e);
+      res.status(500).json({ message: "Error." });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// delete skill (admin)
+app.delete(
+  "/api/skills/:id",
+  requireAdmin("manage_skills"),
+  validate({ params: { id: v.int() }, body: { reason: ADMIN_REASON } }),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "DELETE FROM Skills WHERE skill_id = $1 RETURNING skill_id, skill_name",
+        [req.params.id]
+      );
+      if (result.rows.length === 0)
+        return res.status(404).json({ message: "Not found." });
+      await logAdminAction(req, {
+        action: "Delete Skill",
+        table: "Skills",
+        targetId: req.params.id,
+        before: result.rows[0],
+      });
+      res.status(200).json({ message: "Skill deleted." });
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+// global search
+app.get(
+  "/api/search",
+  isAuthenticated,
+  validate({ query: { q: v.string({ max: 100 }).optional("") } }),
+  async (req, res) => {
+    const q = req.query.q;
+    if (!q || q.length < 2) return res.json({ results: [] });
+    try {
+      // only people this user's age band can message, and no blocks either way
+      // skill aliases match too, listed under the skill's real name
+      const result = await pool.query(
+        `SELECT u.user_id, u.user_name, u.grade_level as sub_text, 'user' as type FROM Users u
+               WHERE u.user_name ILIKE $1
+                 AND ${reachableSql("u", "$2", "$3", "$4")}
+             UNION ALL
+             SELECT u.user_id, u.user_name, s.skill_name as sub_text, 'skill_match' as type FROM Users u JOIN User_Skills_Offered uso ON u.user_id = uso.user_id JOIN Skills s ON uso.skill_id = s.skill_id
+               WHERE (s.skill_name ILIKE $1 OR EXISTS (SELECT 1 FROM Skill_Aliases a WHERE a.skill_id = s.skill_id AND a.alias ILIKE $1))
+                 AND ${reachableSql("u", "$2", "$3", "$4")} LIMIT 10`,
+        [
+          `%${q}%`,
+          req.user.id,
+          await currentAgeBand(req),
+          safetyRules.messageBandGap,
+        ]
+      );
+      res.json({ results: result.rows });
+    } catch (e) {
+      res.status(500).json({ message: "Error." });
+    }
+  }
+);
+
+export {
+  app,
+  pool,
+  port,
+  notifier,
+  sessionMiddleware,
+  socketOrigins,
+  handleRealtimeEvent,
+  COMPLETION_GRACE_HOURS,
+};
@@ -0,0 +1,41 @@
+// closing accounts: deactivation, soft deletion and the data export
+
+export const RESTORE_WINDOW_DAYS = 30; // a deleted account can be restored for this long
+export const DELETED_USER_NAME = "Deleted user";
+
+// personal columns moved out of Users on deletion and put back on restore
+export const RESTORABLE_COLUMNS = [
+  "email",
+  "password_hash",
+  "user_name",
+  "date_of_birth",
+  "grade_level",
+  "school_college",
+  "calendar_token",
+  "totp_secret",
+  "totp_enabled_at",
+  "guardian_email",
+  "admin_role",
+];
+
+// sections of "download my data"; each is one file in the zip
+export const EXPORT_SECTIONS = [
+  "profile",
+  "skillsOffered",
+  "skillsSought",
+  "availability",
+  "sessions",
+  "messages",
+  "ratingsGiven",
+  "ratingsReceived",
+];
+
+// sql: user row belongs to an open account
+export function activeSql(alias) {
+  return `${alias}.deleted_at IS NULL AND ${alias}.deactivated_at IS NULL`;
+}
+
+// placeholder address for a deleted account (keeps the unique email free for reuse)
+export function deletedEmail(userId) {
+  return `deleted-${userId}@deleted.invalid`;
+}
@@ -0,0 +1,72 @@
+// admin audit log: what changed, filters for the log view, csv export
+
+export const AUDIT_PAGE_SIZE = 50;
+export const AUDIT_MAX_PAGE_SIZE = 200;
+export const AUDIT_EXPORT_LIMIT = 10000; // rows in one download
+
+export const AUDIT_COLUMNS = [
+  "log_id",
+  "timestamp",
+  "admin_id",
+  "admin_name",
+  "action_type",
+  "target_table",
+  "target_id",
+  "reason",
+  "ip_address",
+  "before_data",
+  "after_data",
+];
+
+// keep only the fields that changed; creates and deletes keep the whole record
+export function auditDiff(before, after) {
+  if (!before || !after)
+    return { before: before || null, after: after || null };
+  const changed = { before: {}, after: {} };
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[key]) === JSON.stringify(after[key])) continue;
+    changed.before[key] = before[key] ?? null;
+    changed.after[key] = after[key] ?? null;
+  }
+  return changed;
+}
+
+// where clause for the log filters (adminId, action, table, from, to)
+// dates are whole days; "to" includes the day itself
+export function auditFilterSql(filters) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace("?", `$${params.length}`));
+  };
+  if (filters.adminId) add("l.admin_id = ?", filters.adminId);
+  if (filters.action) add("l.action_type = ?", filters.action);
+  if (filters.table) add("l.target_table = ?", filters.table);
+  if (filters.from) add("l.timestamp >= ?::date", filters.from);
+  if (filters.to) add("l.timestamp < ?::date + 1", filters.to);
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "",
+    params,
+  };
+}
+
+// one csv field; leading = + - @ are defused so spreadsheets don't run them
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let text =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === "object"
+      ? JSON.stringify(value)
+      : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows, columns = AUDIT_COLUMNS) {
+  const lines = [columns.join(",")];
+  for (const row of rows)
+    lines.push(columns.map((column) => csvField(row[column])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
@@ -0,0 +1,40 @@
+import crypto from "crypto";
+
+// csrf tokens live in the session; views get one via res.locals.csrfToken,
+// axios sends it as X-CSRF-Token and plain forms as a _csrf field
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// the session's token, created on first use
+export function issueCsrfToken(req) {
+  if (!req.session.csrfToken)
+    req.session.csrfToken = crypto.randomBytes(32).toString("hex");
+  return req.session.csrfToken;
+}
+
+function tokensMatch(expected, given) {
+  if (typeof given !== "string") return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(given);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// check the token on every mutating request
+export function csrfProtection(req, res, next) {
+  // only created when a page renders, so plain asset and api hits don't start sessions
+  Object.defineProperty(res.locals, "csrfToken", {
+    get: () => issueCsrfToken(req),
+    enumerable: true,
+  });
+  if (SAFE_METHODS.includes(req.method)) return next();
+
+  const expected = req.session.csrfToken;
+  const given = req.get("X-CSRF-Token") || (req.body && req.body._csrf);
+  if (expected && tokensMatch(expected, given)) return next();
+
+  if (req.originalUrl.startsWith("/api/"))
+    return res.status(403).json({ message: "Invalid or missing CSRF token." });
+  res
+    .status(403)
+    .send("This form has expired. Go back, refresh and try again.");
+}
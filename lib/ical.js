@@ -0,0 +1,97 @@
+// iCalendar (RFC 5545) builder for tutoring sessions
+
+const PRODUCT_ID = "-//SkillSwap//Sessions//EN";
+const UID_DOMAIN = "skillswap.app";
+
+// escape text values
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\r?\n/g, "\\n")
+    .replace(/,/g, "\\,")
+    .replace(/;/g, "\\;");
+}
+
+// format date as UTC basic format (20260101T120000Z)
+function formatDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").split(".")[0] + "Z";
+}
+
+// fold lines longer than 75 octets
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, "utf8") > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// map app status to calendar status
+function eventStatus(status) {
+  if (status === "Cancelled" || status === "Denied") return "CANCELLED";
+  if (status === "Requested") return "TENTATIVE";
+  return "CONFIRMED";
+}
+
+// build one VEVENT from a session row
+function buildEvent(session) {
+  const start = new Date(session.session_date_time);
+  const end = new Date(start.getTime() + session.duration_minutes * 60000);
+  const isOnline = session.location_type === "Online";
+
+  const description = [
+    `Skill: ${session.skill_name}`,
+    `Tutor: ${session.provider_name}`,
+    `Student: ${session.requester_name}`,
+    `Location: ${session.location_type}`,
+    session.meeting_url ? `Meeting link: ${session.meeting_url}` : null,
+    session.cancellation_reason && eventStatus(session.status) === "CANCELLED"
+      ? `Cancelled: ${session.cancellation_reason}`
+      : null,
+  ].filter(Boolean);
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:session-${session.session_id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDate(session.updated_at || new Date())}`,
+    `LAST-MODIFIED:${formatDate(session.updated_at || new Date())}`,
+    `SEQUENCE:${session.calendar_sequence || 0}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(`SkillSwap: ${session.skill_name}`)}`,
+    `DESCRIPTION:${escapeText(description.join("\n"))}`,
+    `LOCATION:${escapeText(
+      isOnline ? session.meeting_url || "Online" : "In-Person"
+    )}`,
+    `STATUS:${eventStatus(session.status)}`,
+  ];
+  // escaped like the text fields so a stray newline or ; can't start a new property
+  if (session.meeting_url) lines.push(`URL:${escapeText(session.meeting_url)}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+// build a full calendar document
+export function buildCalendar(sessions, { name } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  sessions.forEach((session) => lines.push(...buildEvent(session)));
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
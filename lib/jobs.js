@@ -0,0 +1,167 @@
+// background jobs for session lifecycle
+
+// flag confirmed sessions that have ended and close out expired ones
+export async function advanceSessions(pool, { graceHours }) {
+  const ended = await pool.query(
+    `UPDATE Sessions SET status = 'Needs Confirmation', completion_deadline = NOW() + make_interval(hours => $1::int)
+         WHERE status = 'Confirmed' AND session_date_time + make_interval(mins => duration_minutes) <= NOW()
+         RETURNING session_id`,
+    [graceHours]
+  );
+  const completed = await pool.query(
+    `UPDATE Sessions SET status = 'Completed', completion_deadline = NULL
+         WHERE status = 'Needs Confirmation' AND completion_deadline <= NOW()
+         RETURNING session_id`
+  );
+  return {
+    ended: ended.rows.map((r) => r.session_id),
+    completed: completed.rows.map((r) => r.session_id),
+  };
+}
+
+// run session job on a timer
+export function startSessionJobs(
+  pool,
+  { graceHours, intervalMs = 5 * 60 * 1000 }
+) {
+  const run = async () => {
+    try {
+      const { ended, completed } = await advanceSessions(pool, { graceHours });
+      if (ended.length || completed.length)
+        console.log(
+          `Session job: ${ended.length} awaiting confirmation, ${completed.length} completed.`
+        );
+    } catch (error) {
+      console.error("Session job failed:", error.message);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+// email a digest of messages left unread for a while
+export async function sendMessageDigests(
+  pool,
+  notifier,
+  { delayMinutes = 15 } = {}
+) {
+  const result = await pool.query(
+    `SELECT m.receiver_id, m.sender_id, u.user_name AS sender_name, COUNT(*)::int AS count, ARRAY_AGG(m.message_id) AS message_ids
+         FROM Messages m JOIN Users u ON m.sender_id = u.user_id
+         WHERE m.is_read = FALSE AND m.emailed_at IS NULL AND m.timestamp <= NOW() - make_interval(mins => $1::int)
+         GROUP BY m.receiver_id, m.sender_id, u.user_name`,
+    [delayMinutes]
+  );
+
+  const byReceiver = new Map();
+  result.rows.forEach((row) => {
+    if (!byReceiver.has(row.receiver_id)) byReceiver.set(row.receiver_id, []);
+    byReceiver.get(row.receiver_id).push(row);
+  });
+
+  for (const [receiverId, rows] of byReceiver) {
+    const total = rows.reduce((sum, r) => sum + r.count, 0);
+    await notifier.send("message_digest", receiverId, {
+      total,
+      conversations: rows.map((r) => ({
+        senderName: r.sender_name,
+        count: r.count,
+      })),
+    });
+    // mark even when opted out so they aren't picked up again
+    await pool.query(
+      "UPDATE Messages SET emailed_at = NOW() WHERE message_id = ANY($1)",
+      [rows.flatMap((r) => r.message_ids)]
+    );
+  }
+  return byReceiver.size;
+}
+
+// run digest job on a timer
+export function startDigestJob(
+  pool,
+  notifier,
+  { intervalMs = 5 * 60 * 1000 } = {}
+) {
+  const run = async () => {
+    try {
+      const count = await sendMessageDigests(pool, notifier);
+      if (count) console.log(`Digest job: emailed ${count} user(s).`);
+    } catch (error) {
+      console.error("Digest job failed:", error.message);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+// forget deleted accounts once their restore window has closed
+// the anonymized user row stays so shared sessions, messages and ratings keep working
+export async function purgeDeletedAccounts(pool) {
+  // one transaction, so a failure part way leaves the accounts queued for the next run
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      "SELECT user_id FROM Deleted_Accounts WHERE restore_until <= NOW() FOR UPDATE SKIP LOCKED"
+    );
+    const ids = result.rows.map((r) => r.user_id);
+    if (ids.length === 0) {
+      await client.query("COMMIT");
+      return ids;
+    }
+
+    for (const table of [
+      "User_Skills_Offered",
+      "User_Skills_Sought",
+      "Provider_Availability",
+      "Provider_Blackouts",
+      "Notifications",
+      "Recovery_Codes",
+      "Login_Attempts",
+    ])
+      await client.query(`DELETE FROM ${table} WHERE user_id = ANY($1)`, [ids]);
+    await client.query(
+      "DELETE FROM User_Blocks WHERE blocker_id = ANY($1) OR blocked_id = ANY($1)",
+      [ids]
+    );
+    // last, once everything else about them is gone
+    await client.query("DELETE FROM Deleted_Accounts WHERE user_id = ANY($1)", [
+      ids,
+    ]);
+    await client.query("COMMIT");
+    return ids;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// run purge job on a timer
+export function startAccountPurgeJob(
+  pool,
+  { intervalMs = 60 * 60 * 1000 } = {}
+) {
+  const run = async () => {
+    try {
+      const ids = await purgeDeletedAccounts(pool);
+      if (ids.length)
+        console.log(`Purge job: forgot ${ids.length} deleted account(s).`);
+    } catch (error) {
+      console.error("Purge job failed:", error.message);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
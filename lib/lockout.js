@@ -0,0 +1,33 @@
+// login throttling rules
+// failures are counted per account (Users.failed_login_count) and per ip (Login_Attempts)
+
+export const LOCKOUT_THRESHOLD = 5; // failures before the account locks
+export const LOCKOUT_MINUTES = 15;
+export const MAX_LOCKOUT_MINUTES = 24 * 60;
+export const IP_FAILURE_LIMIT = 20; // failures from one ip per window
+export const IP_WINDOW_MINUTES = 15;
+
+// how long an account must wait after this many failures in a row
+// short back-off first, then a lockout that doubles every LOCKOUT_THRESHOLD failures
+export function loginDelaySeconds(failures) {
+  if (failures >= LOCKOUT_THRESHOLD) {
+    const rounds = Math.floor(
+      (failures - LOCKOUT_THRESHOLD) / LOCKOUT_THRESHOLD
+    );
+    return Math.min(LOCKOUT_MINUTES * 2 ** rounds, MAX_LOCKOUT_MINUTES) * 60;
+  }
+  if (failures >= 2) return 2 ** (failures - 2);
+  return 0;
+}
+
+// message for a blocked attempt
+export function retryMessage(seconds) {
+  if (seconds < 60)
+    return `Too many failed attempts. Try again in ${seconds} second${
+      seconds === 1 ? "" : "s"
+    }.`;
+  const minutes = Math.ceil(seconds / 60);
+  return `Too many failed attempts. Try again in ${minutes} minute${
+    minutes === 1 ? "" : "s"
+  }.`;
+}
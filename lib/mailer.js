@@ -0,0 +1,79 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+// smtp transport (production)
+function smtpTransport(env) {
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT) || 587,
+    secure: env.SMTP_SECURE === "true",
+    auth: env.SMTP_USER
+      ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD }
+      : undefined,
+  });
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail(message),
+  };
+}
+
+// write each email to a json file (local development)
+function fileTransport(env) {
+  const dir = env.MAIL_OUTBOX_DIR || "outbox";
+  return {
+    name: "file",
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(
+        dir,
+        `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`
+      );
+      await fs.writeFile(file, JSON.stringify(message, null, 2));
+      return { file };
+    },
+  };
+}
+
+// store each email in the Email_Outbox table
+function dbTransport(env, pool) {
+  return {
+    name: "db",
+    async send(message) {
+      const result = await pool.query(
+        "INSERT INTO Email_Outbox (to_address, subject, text_body, html_body, template) VALUES ($1, $2, $3, $4, $5) RETURNING email_id",
+        [
+          message.to,
+          message.subject,
+          message.text,
+          message.html,
+          message.template || null,
+        ]
+      );
+      return { emailId: result.rows[0].email_id };
+    },
+  };
+}
+
+// keep emails in memory (tests)
+function memoryTransport() {
+  const sent = [];
+  return {
+    name: "memory",
+    sent,
+    async send(message) {
+      sent.push(message);
+      return { index: sent.length - 1 };
+    },
+  };
+}
+
+// pick transport from MAIL_TRANSPORT (smtp, file, db, memory)
+export function createMailTransport(env, pool) {
+  const name = env.MAIL_TRANSPORT || (env.SMTP_HOST ? "smtp" : "db");
+  if (name === "smtp") return smtpTransport(env);
+  if (name === "file") return fileTransport(env);
+  if (name === "memory") return memoryTransport();
+  if (name === "db") return dbTransport(env, pool);
+  throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+}
@@ -0,0 +1,151 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+export const MIGRATIONS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "migrations"
+);
+
+// arbitrary key so two app instances don't migrate at once
+const MIGRATION_LOCK_KEY = 7240115;
+const FILE_PATTERN = /^(\d+)_(.+)\.(up|down)\.sql$/;
+
+// read NNN_name.up.sql / NNN_name.down.sql pairs in version order
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = await fs.readdir(dir);
+  const byVersion = new Map();
+
+  for (const file of files) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+    const version = parseInt(match[1]);
+    if (!byVersion.has(version))
+      byVersion.set(version, {
+        version,
+        name: match[2],
+        id: `${match[1]}_${match[2]}`,
+      });
+    byVersion.get(version)[match[3]] = path.join(dir, file);
+  }
+
+  const migrations = [...byVersion.values()].sort(
+    (a, b) => a.version - b.version
+  );
+  migrations.forEach((m) => {
+    if (!m.up) throw new Error(`Migration ${m.version} has no up file`);
+  });
+  return migrations;
+}
+
+// make sure the tracking table exists
+async function ensureTrackingTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS Schema_Migrations (
+        version INT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    )`);
+}
+
+// versions already applied
+async function appliedVersions(client) {
+  const result = await client.query(
+    "SELECT version, applied_at FROM Schema_Migrations ORDER BY version"
+  );
+  return new Map(result.rows.map((r) => [r.version, r.applied_at]));
+}
+
+// run fn on one connection holding the migration lock
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+    await ensureTrackingTable(client);
+    return await fn(client);
+  } finally {
+    await client
+      .query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_KEY])
+      .catch(() => {});
+    client.release();
+  }
+}
+
+// run one migration file inside a transaction
+async function runFile(client, file, record) {
+  const sql = await fs.readFile(file, "utf8");
+  try {
+    await client.query("BEGIN");
+    await client.query(sql);
+    await record();
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw new Error(`${path.basename(file)}: ${error.message}`);
+  }
+}
+
+// apply every pending migration, returns the ones applied
+export async function migrateUp(pool, { dir = MIGRATIONS_DIR, to } = {}) {
+  const migrations = await loadMigrations(dir);
+  return withLock(pool, async (client) => {
+    const applied = await appliedVersions(client);
+    const ran = [];
+    for (const m of migrations) {
+      if (applied.has(m.version)) continue;
+      if (to !== undefined && m.version > to) break;
+      await runFile(client, m.up, () =>
+        client.query(
+          "INSERT INTO Schema_Migrations (version, name) VALUES ($1, $2)",
+          [m.version, m.name]
+        )
+      );
+      ran.push(m);
+    }
+    return ran;
+  });
+}
+
+// roll back the newest applied migrations, returns the ones reverted
+export async function migrateDown(
+  pool,
+  { dir = MIGRATIONS_DIR, steps = 1 } = {}
+) {
+  const migrations = await loadMigrations(dir);
+  return withLock(pool, async (client) => {
+    const applied = await appliedVersions(client);
+    const targets = migrations
+      .filter((m) => applied.has(m.version))
+      .reverse()
+      .slice(0, steps);
+
+    for (const m of targets) {
+      if (!m.down) throw new Error(`Migration ${m.version} has no down file`);
+      await runFile(client, m.down, () =>
+        client.query("DELETE FROM Schema_Migrations WHERE version = $1", [
+          m.version,
+        ])
+      );
+    }
+    return targets;
+  });
+}
+
+// list every migration with when it was applied (null if pending)
+export async function migrationStatus(pool, { dir = MIGRATIONS_DIR } = {}) {
+  const migrations = await loadMigrations(dir);
+  const client = await pool.connect();
+  try {
+    await ensureTrackingTable(client);
+    const applied = await appliedVersions(client);
+    return migrations.map((m) => ({
+      version: m.version,
+      name: m.name,
+      id: m.id,
+      appliedAt: applied.get(m.version) || null,
+    }));
+  } finally {
+    client.release();
+  }
+}
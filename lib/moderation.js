@@ -0,0 +1,44 @@
+// report workflow and moderation actions
+
+// what a report is about
+export const REPORT_CATEGORIES = {
+  harassment: "Harassment or bullying",
+  inappropriate: "Inappropriate content",
+  spam: "Spam or scams",
+  safety: "Safety concern",
+  impersonation: "Impersonation",
+  other: "Other",
+};
+
+export const REPORT_STATUSES = [
+  "New",
+  "Investigating",
+  "Resolved",
+  "Dismissed",
+];
+
+// allowed next statuses; resolved and dismissed reports are closed
+export const REPORT_TRANSITIONS = {
+  New: ["Investigating"],
+  Investigating: ["Resolved", "Dismissed"],
+  Resolved: [],
+  Dismissed: [],
+};
+
+export const MODERATION_ACTIONS = ["warn", "suspend", "ban"];
+export const MAX_SUSPENSION_DAYS = 365;
+
+// can a report move from one status to another
+export function canTransition(from, to) {
+  return (REPORT_TRANSITIONS[from] || []).includes(to);
+}
+
+// why a user can't use the site right now, or null
+export function restrictionMessage(user, now = new Date()) {
+  if (user.banned_at) return "Your account has been banned.";
+  if (user.suspended_until && new Date(user.suspended_until) > now)
+    return `Your account is suspended until ${new Date(
+      user.suspended_until
+    ).toUTCString()}.`;
+  return null;
+}
@@ -0,0 +1,149 @@
+import ejs from "ejs";
+import path from "path";
+
+// email templates and the opt-out category they belong to
+// (null = transactional, always sent)
+export const EMAIL_TEMPLATES = {
+  password_reset: {
+    subject: () => "Reset your SkillSwap password",
+    category: null,
+  },
+  verify_email: {
+    subject: () => "Verify your SkillSwap email",
+    category: null,
+  },
+  guardian_consent: {
+    subject: (d) => `${d.childName} would like to join SkillSwap`,
+    category: null,
+    // goes to the parent or guardian instead of the account holder
+    toGuardian: true,
+  },
+  session_requested: {
+    subject: (d) => `New session request from ${d.requesterName}`,
+    category: "sessions",
+  },
+  session_confirmed: {
+    subject: (d) => `Your ${d.skillName} session is confirmed`,
+    category: "sessions",
+  },
+  session_cancelled: {
+    subject: (d) => `Your ${d.skillName} session was ${d.status.toLowerCase()}`,
+    category: "sessions",
+  },
+  message_digest: {
+    subject: (d) =>
+      `You have ${d.total} unread message${d.total === 1 ? "" : "s"}`,
+    category: "messages",
+  },
+  rating_received: {
+    subject: (d) => `${d.raterName} rated your session`,
+    category: "ratings",
+  },
+  account_deleted: {
+    subject: () => "Your SkillSwap account was deleted",
+    category: null,
+    // the account's own address is already gone, so use the one kept for restoring
+    toDeletedAccount: true,
+  },
+};
+
+export const EMAIL_CATEGORIES = ["sessions", "messages", "ratings"];
+
+// crude html to text for the plain part
+function htmlToText(html) {
+  return html
+    .replace(/<style[\s\S]*?<\/style>/gi, "")
+    .replace(/<a [^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/gi, "$2 ($1)")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|h\d|li|tr)>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&rarr;/g, "→")
+    .replace(/&mdash;/g, "—")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&#39;/g, "'")
+    .replace(/&#34;|&quot;/g, '"')
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n\s*\n\s*/g, "\n\n")
+    .trim();
+}
+
+// format a date in the recipient's timezone
+function formatTime(date, timezone) {
+  return new Date(date).toLocaleString("en-US", {
+    timeZone: timezone || "UTC",
+    dateStyle: "full",
+    timeStyle: "short",
+  });
+}
+
+// create notifier bound to a pool and mail transport
+export function createNotifier({ pool, transport, appUrl, from, viewsDir }) {
+  const sender = from || "SkillSwap <support@skillswap.app>";
+
+  // render and send one templated email
+  async function deliver(templateName, user, data) {
+    const template = EMAIL_TEMPLATES[templateName];
+    const html = await ejs.renderFile(
+      path.join(viewsDir, "emails", `${templateName}.ejs`),
+      {
+        ...data,
+        user,
+        greetingName: template.toGuardian
+          ? "there"
+          : template.toDeletedAccount
+          ? user.original_name
+          : user.user_name,
+        appUrl,
+        formatTime: (date) => formatTime(date, user.timezone),
+      }
+    );
+    await transport.send({
+      from: sender,
+      to: template.toGuardian
+        ? user.guardian_email
+        : template.toDeletedAccount
+        ? user.original_email
+        : user.email,
+      subject: template.subject(data),
+      html,
+      text: htmlToText(html),
+      template: templateName,
+    });
+  }
+
+  // send template to a user, honoring opt-outs; never throws
+  async function send(templateName, userId, data = {}) {
+    const template = EMAIL_TEMPLATES[templateName];
+    if (!template) throw new Error(`Unknown email template "${templateName}"`);
+
+    try {
+      const result = await pool.query(
+        `SELECT u.user_id, u.email, u.user_name, u.timezone, u.email_opt_outs, u.guardian_email, u.deleted_at,
+                d.original ->> 'email' AS original_email, d.original ->> 'user_name' AS original_name
+           FROM Users u LEFT JOIN Deleted_Accounts d ON d.user_id = u.user_id
+          WHERE u.user_id = $1`,
+        [userId]
+      );
+      const user = result.rows[0];
+      if (!user) return false;
+      // deleted accounts only hear about the deletion itself
+      if (Boolean(user.deleted_at) !== Boolean(template.toDeletedAccount))
+        return false;
+      if (
+        template.category &&
+        (user.email_opt_outs || []).includes(template.category)
+      )
+        return false;
+
+      await deliver(templateName, user, data);
+      return true;
+    } catch (error) {
+      console.error(`Email "${templateName}" failed:`, error.message);
+      return false;
+    }
+  }
+
+  return { send, transport };
+}
@@ -0,0 +1,42 @@
+// authorization rules: who may do what
+// every rule gets the logged-in user from req.user, never ids from the request body
+// req.user.adminRole is read from the db on each request, so it is never stale
+
+import { roleCan } from "./roles.js";
+
+const isProvider = (user, session) => session.provider_id === user.id;
+const isRequester = (user, session) => session.requester_id === user.id;
+const isParticipant = (user, session) =>
+  isProvider(user, session) || isRequester(user, session);
+
+// actions on a tutoring session row
+export const SESSION_POLICIES = {
+  view: isParticipant,
+  confirm: isProvider,
+  cancel: isParticipant,
+  complete: isParticipant,
+  dispute: isRequester,
+  rate: isRequester,
+  reschedule: isParticipant,
+};
+
+// actions on another user's account data
+export const USER_POLICIES = {
+  viewSessions: (user, userId) =>
+    user.id === userId || roleCan(user.adminRole, "manage_users"),
+  editProfile: (user, userId) => user.id === userId,
+};
+
+// check a session action
+export function canActOnSession(user, action, session) {
+  const rule = SESSION_POLICIES[action];
+  if (!rule) throw new Error(`Unknown session action "${action}"`);
+  return Boolean(user && session && rule(user, session));
+}
+
+// check an action on a user's data
+export function canActOnUser(user, action, userId) {
+  const rule = USER_POLICIES[action];
+  if (!rule) throw new Error(`Unknown user action "${action}"`);
+  return Boolean(user && rule(user, parseInt(userId)));
+}
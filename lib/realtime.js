@@ -0,0 +1,109 @@
+import { WebSocketServer } from "ws";
+
+// open sockets grouped by user id
+const clients = new Map();
+let wss = null;
+
+// register socket for user
+function addClient(userId, ws) {
+  if (!clients.has(userId)) clients.set(userId, new Set());
+  clients.get(userId).add(ws);
+}
+
+// drop socket for user
+function removeClient(userId, ws) {
+  const sockets = clients.get(userId);
+  if (!sockets) return;
+  sockets.delete(ws);
+  if (sockets.size === 0) clients.delete(userId);
+}
+
+// push event to every open tab of a user
+export function sendToUser(userId, type, payload = {}) {
+  const sockets = clients.get(parseInt(userId));
+  if (!sockets) return;
+  const data = JSON.stringify({ type, ...payload });
+  sockets.forEach((ws) => {
+    if (ws.readyState === ws.OPEN) ws.send(data);
+  });
+}
+
+// check if user has a live socket
+export function isOnline(userId) {
+  return clients.has(parseInt(userId));
+}
+
+// close every socket of a user (suspended or banned)
+export function disconnectUser(userId) {
+  const sockets = clients.get(parseInt(userId));
+  if (!sockets) return;
+  sockets.forEach((ws) => ws.close(4001, "Account restricted"));
+}
+
+// handle events sent by the browser; onEvent decides who they may reach
+function handleClientEvent(userId, raw, onEvent) {
+  let event;
+  try {
+    event = JSON.parse(raw);
+  } catch (e) {
+    return;
+  }
+  if (!event || typeof event.type !== "string") return;
+  if (onEvent) onEvent(userId, event);
+}
+
+// attach websocket server to http server
+// allowedOrigins lists the pages that may open a socket; cors and csrf checks don't cover upgrades
+export function attachRealtime(
+  server,
+  sessionMiddleware,
+  { onEvent, allowedOrigins = [] } = {}
+) {
+  wss = new WebSocketServer({ noServer: true });
+
+  server.on("upgrade", (req, socket, head) => {
+    if (!req.url.startsWith("/ws")) return socket.destroy();
+
+    // browsers always send an origin, so another site can't open a socket with the user's cookie
+    const origin = req.headers.origin;
+    if (origin && !allowedOrigins.includes(origin)) {
+      socket.write("HTTP/1.1 403 Forbidden\r\n\r\n");
+      return socket.destroy();
+    }
+
+    // reuse express-session cookie for auth
+    sessionMiddleware(req, {}, () => {
+      const user = req.session && req.session.user;
+      if (!user) {
+        socket.write("HTTP/1.1 401 Unauthorized\r\n\r\n");
+        return socket.destroy();
+      }
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit("connection", ws, user);
+      });
+    });
+  });
+
+  wss.on("connection", (ws, user) => {
+    const userId = user.id;
+    ws.isAlive = true;
+    addClient(userId, ws);
+
+    ws.on("pong", () => (ws.isAlive = true));
+    ws.on("message", (raw) => handleClientEvent(userId, raw, onEvent));
+    ws.on("close", () => removeClient(userId, ws));
+    ws.send(JSON.stringify({ type: "ready" }));
+  });
+
+  // drop dead connections
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, 30000);
+  wss.on("close", () => clearInterval(heartbeat));
+
+  return wss;
+}
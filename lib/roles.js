@@ -0,0 +1,26 @@
+// admin roles and the permissions each one grants
+// admin routes ask for a permission, never for a role, so roles can change freely
+
+export const PERMISSIONS = [
+  "manage_users", // list and delete accounts, clear lockouts
+  "manage_roles", // give or take away admin roles
+  "manage_reports", // work reports, warn, suspend and ban
+  "manage_skills", // skill list and suggestions
+  "view_audit_log",
+  "view_system", // migration status
+];
+
+export const ADMIN_ROLES = {
+  super_admin: { label: "Super Admin", permissions: PERMISSIONS },
+  moderator: { label: "Moderator", permissions: ["manage_reports"] },
+  skill_curator: { label: "Skill Curator", permissions: ["manage_skills"] },
+};
+
+// permissions for a role; none for regular users (null role)
+export function rolePermissions(role) {
+  return ADMIN_ROLES[role] ? ADMIN_ROLES[role].permissions : [];
+}
+
+export function roleCan(role, permission) {
+  return rolePermissions(role).includes(permission);
+}
@@ -0,0 +1,76 @@
+// minor-safety rules driven by date of birth
+// users fall into age bands; rules limit contact between bands that are far apart
+
+export const GUARDIAN_CONSENT_AGE = 13; // younger users need a guardian's ok
+export const ADULT_AGE = 18;
+export const AGE_BANDS = ["child", "teen", "adult"];
+
+// defaults; each can be overridden from the environment
+export const DEFAULT_SAFETY_RULES = {
+  messageBandGap: 1, // how many bands apart two users can message
+  sessionBandGap: 1, // how many bands apart two users can book sessions
+  inPersonMinorAdult: false, // in-person sessions between a minor and an adult
+};
+
+// read rule overrides (SAFETY_MESSAGE_BAND_GAP, SAFETY_SESSION_BAND_GAP, SAFETY_IN_PERSON_MINOR_ADULT)
+export function loadSafetyRules(env = process.env) {
+  const gap = (value, fallback) =>
+    value === undefined || value === "" ? fallback : parseInt(value);
+  return {
+    messageBandGap: gap(
+      env.SAFETY_MESSAGE_BAND_GAP,
+      DEFAULT_SAFETY_RULES.messageBandGap
+    ),
+    sessionBandGap: gap(
+      env.SAFETY_SESSION_BAND_GAP,
+      DEFAULT_SAFETY_RULES.sessionBandGap
+    ),
+    inPersonMinorAdult:
+      env.SAFETY_IN_PERSON_MINOR_ADULT === undefined
+        ? DEFAULT_SAFETY_RULES.inPersonMinorAdult
+        : env.SAFETY_IN_PERSON_MINOR_ADULT === "true",
+  };
+}
+
+// whole years since a date of birth (YYYY-MM-DD or Date)
+export function ageOn(dateOfBirth, now = new Date()) {
+  const born = new Date(dateOfBirth);
+  let age = now.getUTCFullYear() - born.getUTCFullYear();
+  const beforeBirthday =
+    now.getUTCMonth() < born.getUTCMonth() ||
+    (now.getUTCMonth() === born.getUTCMonth() &&
+      now.getUTCDate() < born.getUTCDate());
+  if (beforeBirthday) age -= 1;
+  return age;
+}
+
+// band index for an age; unknown ages count as adult, the strictest case for minors
+export function ageBand(age) {
+  if (age === null || age === undefined) return 2;
+  if (age < GUARDIAN_CONSENT_AGE) return 0;
+  if (age < ADULT_AGE) return 1;
+  return 2;
+}
+
+// same banding in sql, for filtering lists (column holds a date of birth)
+export function ageBandSql(column) {
+  return `(CASE WHEN ${column} IS NULL THEN 2
+    WHEN age(${column}) < make_interval(years => ${GUARDIAN_CONSENT_AGE}) THEN 0
+    WHEN age(${column}) < make_interval(years => ${ADULT_AGE}) THEN 1
+    ELSE 2 END)`;
+}
+
+// can two users (by band) message each other
+export function canMessage(rules, bandA, bandB) {
+  return Math.abs(bandA - bandB) <= rules.messageBandGap;
+}
+
+// reason a session between two bands isn't allowed, or null
+export function sessionBlockReason(rules, bandA, bandB, locationType) {
+  if (Math.abs(bandA - bandB) > rules.sessionBandGap)
+    return "Sessions aren't allowed between these age groups.";
+  const mixed = (bandA === 2) !== (bandB === 2);
+  if (locationType === "In-Person" && mixed && !rules.inPersonMinorAdult)
+    return "In-person sessions between minors and adults aren't allowed. Please meet online.";
+  return null;
+}
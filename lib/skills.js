@@ -0,0 +1,85 @@
+// skill catalog: categories, aliases and merging duplicates
+
+// skills with their category and aliases, grouped by category (uncategorized last)
+export const SKILL_LIST_QUERY = `SELECT s.skill_id, s.skill_name, s.category_id, c.category_name,
+       ARRAY(SELECT a.alias FROM Skill_Aliases a WHERE a.skill_id = s.skill_id ORDER BY a.alias) AS aliases
+  FROM Skills s LEFT JOIN Skill_Categories c ON s.category_id = c.category_id
+ ORDER BY c.category_name IS NULL, c.category_name, s.skill_name`;
+
+// heading for skills without a category
+export const UNCATEGORIZED = "Other";
+
+// proficiency levels, lowest first (offered skills have one, sought skills aim for one)
+export const PROFICIENCY_LEVELS = {
+  beginner: "Beginner",
+  intermediate: "Intermediate",
+  advanced: "Advanced",
+  expert: "Expert",
+};
+export const MAX_YEARS_EXPERIENCE = 80;
+
+// evidence a tutor can add for an offered skill
+export const CREDENTIAL_TYPES = {
+  course_grade: "Course grade",
+  certification: "Certification",
+  award: "Award or competition",
+  other: "Other",
+};
+
+// sql: rank of a level column (1 = beginner), null when not given
+export function levelRankSql(column) {
+  const levels = Object.keys(PROFICIENCY_LEVELS)
+    .map((level) => `'${level}'`)
+    .join(", ");
+  return `array_position(ARRAY[${levels}]::varchar[], ${column})`;
+}
+
+// skill a name or alias refers to (case-insensitive), or null
+export async function findSkillByName(db, name) {
+  const result = await db.query(
+    `SELECT s.skill_id, s.skill_name FROM Skills s
+      WHERE LOWER(s.skill_name) = LOWER($1)
+         OR s.skill_id IN (SELECT skill_id FROM Skill_Aliases WHERE LOWER(alias) = LOWER($1))
+      LIMIT 1`,
+    [name]
+  );
+  return result.rows[0] || null;
+}
+
+// fold one skill into another (run inside a transaction)
+// people and sessions move to the surviving skill; where someone listed both, their
+// entry for the survivor is kept. the old name becomes an alias so it still resolves.
+export async function mergeSkills(client, sourceId, targetId) {
+  const moved = {};
+  for (const table of ["User_Skills_Offered", "User_Skills_Sought"]) {
+    await client.query(
+      `DELETE FROM ${table} WHERE skill_id = $1
+         AND user_id IN (SELECT user_id FROM ${table} WHERE skill_id = $2)`,
+      [sourceId, targetId]
+    );
+    const result = await client.query(
+      `UPDATE ${table} SET skill_id = $2 WHERE skill_id = $1`,
+      [sourceId, targetId]
+    );
+    moved[table] = result.rowCount;
+  }
+  const sessions = await client.query(
+    "UPDATE Sessions SET skill_taught_id = $2 WHERE skill_taught_id = $1",
+    [sourceId, targetId]
+  );
+  moved.Sessions = sessions.rowCount;
+
+  await client.query(
+    "UPDATE Skill_Aliases SET skill_id = $2 WHERE skill_id = $1",
+    [sourceId, targetId]
+  );
+  const source = await client.query(
+    "DELETE FROM Skills WHERE skill_id = $1 RETURNING skill_name",
+    [sourceId]
+  );
+  await client.query(
+    "INSERT INTO Skill_Aliases (skill_id, alias) VALUES ($1, $2)",
+    [targetId, source.rows[0].skill_name]
+  );
+  return moved;
+}
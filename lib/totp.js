@@ -0,0 +1,88 @@
+import crypto from "crypto";
+
+// time-based one-time passwords (rfc 6238) and recovery codes
+// secrets are base32 so authenticator apps can read them from the qr code
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export const TOTP_PERIOD_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+export const RECOVERY_CODE_COUNT = 10;
+export const TWO_FACTOR_LOGIN_MINUTES = 5; // time allowed for the second step
+
+function base32Encode(buffer) {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let text = "";
+  for (let i = 0; i < bits.length; i += 5)
+    text += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  return text;
+}
+
+function base32Decode(text) {
+  let bits = "";
+  for (const char of text.replace(/=+$/, "").toUpperCase())
+    bits += BASE32.indexOf(char).toString(2).padStart(5, "0");
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8)
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+// new random secret (160 bits, as the rfc recommends)
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// time step a moment falls in
+export function totpStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+// code for one time step
+export function totpCode(secret, step = totpStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const number = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(number % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+// step a code matches, allowing one step of clock drift either way, or null
+// steps at or before lastStep were already used
+export function checkTotp(secret, code, lastStep = null, now = Date.now()) {
+  if (!/^\d{6}$/.test(code)) return null;
+  const current = totpStep(now);
+  for (const step of [current - 1, current, current + 1]) {
+    if (lastStep !== null && step <= lastStep) continue;
+    const expected = Buffer.from(totpCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(code))) return step;
+  }
+  return null;
+}
+
+// link for authenticator apps, shown as a qr code
+export function totpUri(secret, email, issuer = "SkillSwap") {
+  const label = encodeURIComponent(`${issuer}:${email}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(
+    issuer
+  )}&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+}
+
+// one-time recovery codes like "3f9a1-c07e2"
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+// hash for storage; ignores case, spaces and dashes
+export function hashRecoveryCode(code) {
+  const clean = code.toLowerCase().replace(/[^0-9a-f]/g, "");
+  return crypto.createHash("sha256").update(clean).digest("hex");
+}
@@ -0,0 +1,330 @@
+// request validation: small schema rules plus an express middleware
+// a failed check answers 400 with { message, errors: [{ field, code, message }] }
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const PASSWORD_MIN_LENGTH = 8;
+
+// "dateOfBirth" -> "Date of birth", "skills[0].skillId" -> "Skill id"
+function label(field) {
+  const name = field
+    .split(".")
+    .pop()
+    .replace(/\[\d+\]$/, "");
+  const words = name.replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function fail(errors, field, code, message) {
+  errors.push({ field, code, message });
+  return undefined;
+}
+
+// wrap a check with required/optional handling
+// check(value, field, errors) returns the cleaned value
+function rule(check, options = {}) {
+  const run = (value, field, errors) => {
+    if (value === undefined || value === null || value === "") {
+      if (options.optional) return options.default;
+      return fail(
+        errors,
+        field,
+        "required",
+        `${options.label || label(field)} is required.`
+      );
+    }
+    return check(value, field, errors, options.label || label(field));
+  };
+  run.optional = (defaultValue) =>
+    rule(check, { ...options, optional: true, default: defaultValue });
+  run.label = (text) => rule(check, { ...options, label: text });
+  return run;
+}
+
+export const v = {
+  string: ({ min = 0, max = 255, pattern, trim = true } = {}) =>
+    rule((value, field, errors, name) => {
+      if (typeof value !== "string")
+        return fail(errors, field, "invalid_type", `${name} must be text.`);
+      const text = trim ? value.trim() : value;
+      if (text.length === 0)
+        return fail(errors, field, "required", `${name} is required.`);
+      if (text.length < min)
+        return fail(
+          errors,
+          field,
+          "too_short",
+          `${name} must be at least ${min} characters.`
+        );
+      if (text.length > max)
+        return fail(
+          errors,
+          field,
+          "too_long",
+          `${name} must be at most ${max} characters.`
+        );
+      if (pattern && !pattern.test(text))
+        return fail(errors, field, "invalid_format", `${name} is not valid.`);
+      return text;
+    }),
+
+  email: () =>
+    rule((value, field, errors, name) => {
+      const text = typeof value === "string" ? value.trim() : "";
+      if (!EMAIL_PATTERN.test(text) || text.length > 100)
+        return fail(
+          errors,
+          field,
+          "invalid_format",
+          `${name} must be a valid email address.`
+        );
+      return text;
+    }),
+
+  password: () =>
+    rule((value, field, errors, name) => {
+      if (typeof value !== "string")
+        return fail(errors, field, "invalid_type", `${name} must be text.`);
+      if (value.length < PASSWORD_MIN_LENGTH)
+        return fail(
+          errors,
+          field,
+          "too_short",
+          `${name} must be at least ${PASSWORD_MIN_LENGTH} characters.`
+        );
+      if (value.length > 200)
+        return fail(
+          errors,
+          field,
+          "too_long",
+          `${name} must be at most 200 characters.`
+        );
+      if (!/[A-Za-z]/.test(value) || !/[0-9]/.test(value))
+        return fail(
+          errors,
+          field,
+          "weak_password",
+          `${name} must contain at least one letter and one number.`
+        );
+      return value;
+    }),
+
+  int: ({ min = 1, max = 2147483647 } = {}) =>
+    rule((value, field, errors, name) => {
+      const number = typeof value === "string" ? Number(value) : value;
+      if (!Number.isInteger(number))
+        return fail(
+          errors,
+          field,
+          "invalid_type",
+          `${name} must be a whole number.`
+        );
+      if (number < min)
+        return fail(
+          errors,
+          field,
+          "too_small",
+          `${name} must be at least ${min}.`
+        );
+      if (number > max)
+        return fail(
+          errors,
+          field,
+          "too_large",
+          `${name} must be at most ${max}.`
+        );
+      return number;
+    }),
+
+  bool: () =>
+    rule((value, field, errors, name) => {
+      if (value === true || value === "true") return true;
+      if (value === false || value === "false") return false;
+      return fail(
+        errors,
+        field,
+        "invalid_type",
+        `${name} must be true or false.`
+      );
+    }),
+
+  oneOf: (choices) =>
+    rule((value, field, errors, name) => {
+      const match = choices.find((c) => String(c) === String(value));
+      if (match === undefined)
+        return fail(
+          errors,
+          field,
+          "invalid_choice",
+          `${name} must be one of: ${choices.join(", ")}.`
+        );
+      return match;
+    }),
+
+  // calendar date (YYYY-MM-DD); age limits are in whole years before today
+  date: ({ past, minAge, maxAge } = {}) =>
+    rule((value, field, errors, name) => {
+      const parsed = new Date(`${value}T00:00:00Z`);
+      if (
+        typeof value !== "string" ||
+        !DATE_PATTERN.test(value) ||
+        isNaN(parsed) ||
+        parsed.toISOString().slice(0, 10) !== value
+      )
+        return fail(
+          errors,
+          field,
+          "invalid_date",
+          `${name} must be a valid date.`
+        );
+      if (past && parsed >= new Date())
+        return fail(
+          errors,
+          field,
+          "not_in_past",
+          `${name} must be in the past.`
+        );
+      const years = (Date.now() - parsed) / (365.25 * 24 * 3600 * 1000);
+      if (minAge !== undefined && years < minAge)
+        return fail(
+          errors,
+          field,
+          "too_young",
+          `You must be at least ${minAge} years old.`
+        );
+      if (maxAge !== undefined && years > maxAge)
+        return fail(
+          errors,
+          field,
+          "invalid_date",
+          `${name} must be a valid date.`
+        );
+      return value;
+    }),
+
+  // date and time (ISO string); future: must be after now
+  datetime: ({ future } = {}) =>
+    rule((value, field, errors, name) => {
+      if (typeof value !== "string" || isNaN(Date.parse(value)))
+        return fail(
+          errors,
+          field,
+          "invalid_date",
+          `${name} must be a valid date and time.`
+        );
+      if (future && new Date(value) <= new Date())
+        return fail(errors, field, "in_past", `${name} must be in the future.`);
+      return value;
+    }),
+
+  time: () =>
+    rule((value, field, errors, name) => {
+      if (!TIME_PATTERN.test(value))
+        return fail(
+          errors,
+          field,
+          "invalid_format",
+          `${name} must look like 14:30.`
+        );
+      return value;
+    }),
+
+  url: () =>
+    rule((value, field, errors, name) => {
+      let parsed = null;
+      try {
+        parsed = new URL(String(value).trim());
+      } catch (e) {}
+      if (!parsed || !["http:", "https:"].includes(parsed.protocol))
+        return fail(
+          errors,
+          field,
+          "invalid_format",
+          `${name} must be a web link.`
+        );
+      if (String(value).trim().length > 255)
+        return fail(
+          errors,
+          field,
+          "too_long",
+          `${name} must be at most 255 characters.`
+        );
+      return String(value).trim();
+    }),
+
+  array: (item, { min = 0, max = 100 } = {}) =>
+    rule((value, field, errors, name) => {
+      if (!Array.isArray(value))
+        return fail(errors, field, "invalid_type", `${name} must be a list.`);
+      if (value.length < min)
+        return fail(
+          errors,
+          field,
+          "too_short",
+          `${name} needs at least ${min} item${min === 1 ? "" : "s"}.`
+        );
+      if (value.length > max)
+        return fail(
+          errors,
+          field,
+          "too_long",
+          `${name} can have at most ${max} items.`
+        );
+      return value.map((entry, i) => item(entry, `${field}[${i}]`, errors));
+    }),
+
+  object: (shape) =>
+    rule((value, field, errors, name) => {
+      if (typeof value !== "object" || Array.isArray(value))
+        return fail(errors, field, "invalid_type", `${name} is not valid.`);
+      return checkShape(shape, value, field, errors);
+    }),
+};
+
+// check each key of a shape; unknown keys are dropped
+function checkShape(shape, input, prefix, errors) {
+  const clean = {};
+  for (const [key, check] of Object.entries(shape)) {
+    const value = check(input[key], prefix ? `${prefix}.${key}` : key, errors);
+    if (value !== undefined) clean[key] = value;
+  }
+  return clean;
+}
+
+// validate any of params, query and body against shapes
+// cleaned values replace the originals; onError can render a page instead of json
+export function validate(schemas, { onError } = {}) {
+  return (req, res, next) => {
+    const errors = [];
+    const clean = {};
+    for (const part of ["params", "query", "body"]) {
+      if (schemas[part])
+        clean[part] = checkShape(schemas[part], req[part] || {}, "", errors);
+    }
+
+    if (errors.length > 0) {
+      if (onError) return onError(req, res, errors);
+      if (!req.originalUrl.startsWith("/api/"))
+        return res.status(400).send(errors[0].message);
+      return res.status(400).json({ message: errors[0].message, errors });
+    }
+
+    if (clean.params) Object.assign(req.params, clean.params);
+    // req.query is a getter in express 5
+    if (clean.query)
+      Object.defineProperty(req, "query", {
+        value: clean.query,
+        writable: true,
+        configurable: true,
+      });
+    if (clean.body) req.body = clean.body;
+    next();
+  };
+}
+
+// single-field error from a handler (checks a schema can't express)
+export function fieldError(res, field, code, message) {
+  return res.status(400).json({ message, errors: [{ field, code, message }] });
+}
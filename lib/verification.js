@@ -0,0 +1,42 @@
+import crypto from "crypto";
+
+// signed email verification links: <userId>.<expires>.<signature>
+// the signature covers the address, so changing email voids old links
+
+export const VERIFICATION_TTL_HOURS = 48;
+
+function sign(secret, userId, email, expires) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${userId}.${email.toLowerCase()}.${expires}`)
+    .digest("base64url");
+}
+
+// build a token for a user's current email
+export function createVerificationToken(
+  secret,
+  userId,
+  email,
+  now = Date.now(),
+  ttlHours = VERIFICATION_TTL_HOURS
+) {
+  const expires = Math.floor(now / 1000) + ttlHours * 3600;
+  return `${userId}.${expires}.${sign(secret, userId, email, expires)}`;
+}
+
+// user id a token claims to be for, or null if it's malformed
+export function readVerificationToken(token) {
+  const match = /^(\d+)\.(\d+)\.([\w-]+)$/.exec(token || "");
+  return match ? parseInt(match[1]) : null;
+}
+
+// check signature and expiry against the user's email
+export function checkVerificationToken(secret, token, email, now = Date.now()) {
+  const [userId, expires, signature] = token.split(".");
+  if (parseInt(expires) * 1000 < now) return false;
+  const expected = Buffer.from(sign(secret, userId, email, expires));
+  const given = Buffer.from(signature);
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+}
@@ -0,0 +1,11 @@
+DROP TABLE IF EXISTS Admin_Logs;
+DROP TABLE IF EXISTS session;
+DROP TABLE IF EXISTS Skill_Suggestions;
+DROP TABLE IF EXISTS Messages;
+DROP TABLE IF EXISTS Reports;
+DROP TABLE IF EXISTS Ratings;
+DROP TABLE IF EXISTS Sessions;
+DROP TABLE IF EXISTS User_Skills_Sought;
+DROP TABLE IF EXISTS User_Skills_Offered;
+DROP TABLE IF EXISTS Skills;
+DROP TABLE IF EXISTS Users;
@@ -0,0 +1,89 @@
+-- original schema (IF NOT EXISTS so databases created by the old createTables() adopt it)
+CREATE TABLE IF NOT EXISTS Users (
+    user_id SERIAL PRIMARY KEY,
+    email VARCHAR(100) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    user_name VARCHAR(100) NOT NULL,
+    date_of_birth DATE NOT NULL,
+    grade_level VARCHAR(20),
+    school_college VARCHAR(100),
+    is_admin BOOLEAN DEFAULT FALSE,
+    avatar_style VARCHAR(50) DEFAULT 'bottts'
+);
+CREATE TABLE IF NOT EXISTS Skills (
+    skill_id SERIAL PRIMARY KEY,
+    skill_name VARCHAR(50) UNIQUE NOT NULL
+);
+CREATE TABLE IF NOT EXISTS User_Skills_Offered (
+    user_skill_id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    skill_id INT NOT NULL REFERENCES Skills(skill_id) ON DELETE CASCADE,
+    is_virtual_only BOOLEAN DEFAULT FALSE,
+    is_inperson_only BOOLEAN DEFAULT FALSE,
+    UNIQUE (user_id, skill_id)
+);
+CREATE TABLE IF NOT EXISTS User_Skills_Sought (
+    user_skill_id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    skill_id INT NOT NULL REFERENCES Skills(skill_id) ON DELETE CASCADE,
+    is_virtual_only BOOLEAN DEFAULT FALSE,
+    is_inperson_only BOOLEAN DEFAULT FALSE,
+    UNIQUE (user_id, skill_id)
+);
+CREATE TABLE IF NOT EXISTS Sessions (
+    session_id SERIAL PRIMARY KEY,
+    provider_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    requester_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    skill_taught_id INT NOT NULL REFERENCES Skills(skill_id) ON DELETE CASCADE,
+    session_date_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    location_type VARCHAR(20) NOT NULL,
+    status VARCHAR(20) DEFAULT 'Requested',
+    meeting_url VARCHAR(255),
+    cancellation_reason TEXT,
+    CONSTRAINT check_self_session CHECK (provider_id <> requester_id)
+);
+CREATE TABLE IF NOT EXISTS Ratings (
+    rating_id SERIAL PRIMARY KEY,
+    session_id INT UNIQUE NOT NULL REFERENCES Sessions(session_id) ON DELETE CASCADE,
+    rater_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    ratee_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    like_status BOOLEAN NOT NULL,
+    feedback_text TEXT,
+    CONSTRAINT check_rating_users CHECK (rater_id <> ratee_id)
+);
+CREATE TABLE IF NOT EXISTS Reports (
+    report_id SERIAL PRIMARY KEY,
+    reporter_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    reported_user_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    report_reason VARCHAR(255) NOT NULL,
+    report_status VARCHAR(20) DEFAULT 'New',
+    timestamp TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE IF NOT EXISTS Messages (
+    message_id SERIAL PRIMARY KEY,
+    sender_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    receiver_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    message_text TEXT NOT NULL,
+    timestamp TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    is_read BOOLEAN DEFAULT FALSE
+);
+CREATE TABLE IF NOT EXISTS Skill_Suggestions (
+    suggestion_id SERIAL PRIMARY KEY,
+    suggested_skill_name VARCHAR(100) UNIQUE NOT NULL,
+    suggesting_user_id INT REFERENCES Users(user_id) ON DELETE SET NULL,
+    status VARCHAR(20) DEFAULT 'Pending',
+    timestamp TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE IF NOT EXISTS session (
+    sid varchar NOT NULL COLLATE "default" PRIMARY KEY,
+    sess json NOT NULL,
+    expire timestamp(6) with time zone NOT NULL
+);
+CREATE TABLE IF NOT EXISTS Admin_Logs (
+    log_id SERIAL PRIMARY KEY,
+    admin_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    action_type VARCHAR(50) NOT NULL,
+    target_table VARCHAR(50),
+    target_id INT,
+    timestamp TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
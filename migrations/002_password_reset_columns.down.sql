@@ -0,0 +1,2 @@
+ALTER TABLE Users DROP COLUMN IF EXISTS reset_expires;
+ALTER TABLE Users DROP COLUMN IF EXISTS reset_token;
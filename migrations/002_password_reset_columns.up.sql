@@ -0,0 +1,3 @@
+-- used by /forgot-password but never created by the old schema script
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS reset_token VARCHAR(255);
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS reset_expires TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS Provider_Blackouts;
+DROP TABLE IF EXISTS Provider_Availability;
+ALTER TABLE Users DROP COLUMN IF EXISTS timezone;
@@ -0,0 +1,16 @@
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) DEFAULT 'UTC';
+CREATE TABLE IF NOT EXISTS Provider_Availability (
+    availability_id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    CONSTRAINT check_window_order CHECK (start_time < end_time)
+);
+CREATE TABLE IF NOT EXISTS Provider_Blackouts (
+    blackout_id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    blackout_date DATE NOT NULL,
+    reason VARCHAR(255),
+    UNIQUE (user_id, blackout_date)
+);
@@ -0,0 +1,3 @@
+ALTER TABLE Sessions DROP COLUMN IF EXISTS dispute_reason;
+ALTER TABLE Sessions DROP COLUMN IF EXISTS completion_deadline;
+ALTER TABLE Sessions DROP COLUMN IF EXISTS duration_minutes;
@@ -0,0 +1,3 @@
+ALTER TABLE Sessions ADD COLUMN IF NOT EXISTS duration_minutes INT NOT NULL DEFAULT 60;
+ALTER TABLE Sessions ADD COLUMN IF NOT EXISTS completion_deadline TIMESTAMP WITH TIME ZONE;
+ALTER TABLE Sessions ADD COLUMN IF NOT EXISTS dispute_reason TEXT;
@@ -0,0 +1,4 @@
+ALTER TABLE Users DROP COLUMN IF EXISTS calendar_token;
+ALTER TABLE Sessions DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE Sessions DROP COLUMN IF EXISTS calendar_sequence;
+ALTER TABLE Sessions DROP COLUMN IF EXISTS confirmed_at;
@@ -0,0 +1,9 @@
+ALTER TABLE Sessions ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE Sessions ADD COLUMN IF NOT EXISTS calendar_sequence INT NOT NULL DEFAULT 0;
+ALTER TABLE Sessions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS calendar_token VARCHAR(64) UNIQUE;
+
+-- sessions confirmed before confirmed_at existed still belong in calendar feeds
+UPDATE Sessions SET confirmed_at = COALESCE(updated_at, CURRENT_TIMESTAMP)
+    WHERE confirmed_at IS NULL
+      AND status IN ('Confirmed', 'Needs Confirmation', 'Completed', 'Disputed');
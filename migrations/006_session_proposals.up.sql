@@ -0,0 +1,11 @@
+CREATE TABLE IF NOT EXISTS Session_Proposals (
+    proposal_id SERIAL PRIMARY KEY,
+    session_id INT NOT NULL REFERENCES Sessions(session_id) ON DELETE CASCADE,
+    proposer_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    proposed_date_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    duration_minutes INT NOT NULL,
+    note TEXT,
+    status VARCHAR(20) DEFAULT 'Pending',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    responded_at TIMESTAMP WITH TIME ZONE
+);
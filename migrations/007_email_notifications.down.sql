@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS Email_Outbox;
+ALTER TABLE Messages DROP COLUMN IF EXISTS emailed_at;
+ALTER TABLE Users DROP COLUMN IF EXISTS email_opt_outs;
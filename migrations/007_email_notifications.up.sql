@@ -0,0 +1,11 @@
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS email_opt_outs TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE Messages ADD COLUMN IF NOT EXISTS emailed_at TIMESTAMP WITH TIME ZONE;
+CREATE TABLE IF NOT EXISTS Email_Outbox (
+    email_id SERIAL PRIMARY KEY,
+    to_address VARCHAR(100) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    text_body TEXT,
+    html_body TEXT,
+    template VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS Password_Reset_Requests;
+DROP INDEX IF EXISTS users_reset_token_hash_idx;
+UPDATE Users SET reset_token_hash = NULL, reset_expires = NULL;
+ALTER TABLE Users RENAME COLUMN reset_token_hash TO reset_token;
@@ -0,0 +1,13 @@
+-- reset tokens are now stored as sha-256 hashes; old plaintext tokens are void
+UPDATE Users SET reset_token = NULL, reset_expires = NULL;
+ALTER TABLE Users RENAME COLUMN reset_token TO reset_token_hash;
+CREATE INDEX IF NOT EXISTS users_reset_token_hash_idx ON Users (reset_token_hash);
+
+-- recent reset requests, used for rate limiting
+CREATE TABLE IF NOT EXISTS Password_Reset_Requests (
+    request_id SERIAL PRIMARY KEY,
+    email VARCHAR(100) NOT NULL,
+    ip_address VARCHAR(64),
+    requested_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS password_reset_requests_time_idx ON Password_Reset_Requests (requested_at);
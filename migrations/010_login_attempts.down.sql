@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS Login_Attempts;
+ALTER TABLE Users DROP COLUMN IF EXISTS locked_until;
+ALTER TABLE Users DROP COLUMN IF EXISTS failed_login_count;
@@ -0,0 +1,14 @@
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS failed_login_count INT NOT NULL DEFAULT 0;
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+
+-- failed, blocked and suspicious logins
+CREATE TABLE IF NOT EXISTS Login_Attempts (
+    attempt_id SERIAL PRIMARY KEY,
+    email VARCHAR(100),
+    user_id INT REFERENCES Users(user_id) ON DELETE SET NULL,
+    ip_address VARCHAR(64),
+    outcome VARCHAR(30) NOT NULL,
+    attempted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS login_attempts_ip_idx ON Login_Attempts (ip_address, attempted_at);
+CREATE INDEX IF NOT EXISTS login_attempts_user_idx ON Login_Attempts (user_id);
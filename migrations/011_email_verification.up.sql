@@ -0,0 +1,5 @@
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS verification_sent_at TIMESTAMP WITH TIME ZONE;
+
+-- accounts from before verification existed are trusted
+UPDATE Users SET email_verified_at = CURRENT_TIMESTAMP WHERE email_verified_at IS NULL;
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS Recovery_Codes;
+ALTER TABLE Users DROP COLUMN IF EXISTS totp_last_step;
+ALTER TABLE Users DROP COLUMN IF EXISTS totp_enabled_at;
+ALTER TABLE Users DROP COLUMN IF EXISTS totp_secret;
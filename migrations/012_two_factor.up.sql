@@ -0,0 +1,15 @@
+-- totp secret is set once enrollment is confirmed
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP WITH TIME ZONE;
+-- last accepted time step, so a code can't be replayed
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+-- one-time recovery codes (only hashes are stored)
+CREATE TABLE IF NOT EXISTS Recovery_Codes (
+    code_id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS recovery_codes_user_idx ON Recovery_Codes (user_id);
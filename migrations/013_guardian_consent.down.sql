@@ -0,0 +1,3 @@
+ALTER TABLE Users DROP COLUMN IF EXISTS guardian_consent_sent_at;
+ALTER TABLE Users DROP COLUMN IF EXISTS guardian_consent_at;
+ALTER TABLE Users DROP COLUMN IF EXISTS guardian_email;
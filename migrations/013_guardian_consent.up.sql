@@ -0,0 +1,4 @@
+-- under-13 accounts need a parent or guardian to approve them
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS guardian_email VARCHAR(100);
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS guardian_consent_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS guardian_consent_sent_at TIMESTAMP WITH TIME ZONE;
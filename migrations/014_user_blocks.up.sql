@@ -0,0 +1,9 @@
+-- users who don't want contact from each other (checked in both directions)
+CREATE TABLE IF NOT EXISTS User_Blocks (
+    blocker_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    blocked_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (blocker_id, blocked_id),
+    CHECK (blocker_id <> blocked_id)
+);
+CREATE INDEX IF NOT EXISTS user_blocks_blocked_idx ON User_Blocks (blocked_id);
@@ -0,0 +1,11 @@
+DROP TABLE IF EXISTS Moderation_Actions;
+ALTER TABLE Users DROP COLUMN IF EXISTS banned_at;
+ALTER TABLE Users DROP COLUMN IF EXISTS suspended_until;
+DROP TABLE IF EXISTS Report_Notes;
+DROP INDEX IF EXISTS reports_status_idx;
+ALTER TABLE Reports DROP CONSTRAINT IF EXISTS reports_status_check;
+ALTER TABLE Reports DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE Reports DROP COLUMN IF EXISTS assigned_to;
+ALTER TABLE Reports DROP COLUMN IF EXISTS session_id;
+ALTER TABLE Reports DROP COLUMN IF EXISTS message_id;
+ALTER TABLE Reports DROP COLUMN IF EXISTS category;
@@ -0,0 +1,42 @@
+-- structured reports: category, what it's about, who is handling it
+ALTER TABLE Reports ADD COLUMN IF NOT EXISTS category VARCHAR(30) NOT NULL DEFAULT 'other';
+ALTER TABLE Reports ADD COLUMN IF NOT EXISTS message_id INT REFERENCES Messages(message_id) ON DELETE SET NULL;
+ALTER TABLE Reports ADD COLUMN IF NOT EXISTS session_id INT REFERENCES Sessions(session_id) ON DELETE SET NULL;
+ALTER TABLE Reports ADD COLUMN IF NOT EXISTS assigned_to INT REFERENCES Users(user_id) ON DELETE SET NULL;
+ALTER TABLE Reports ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+-- old free-form statuses onto the new workflow
+UPDATE Reports SET report_status = CASE
+    WHEN report_status = 'Under Review' THEN 'Investigating'
+    WHEN report_status IN ('Action Taken', 'Resolved') THEN 'Resolved'
+    WHEN report_status = 'Closed' THEN 'Dismissed'
+    WHEN report_status IN ('New', 'Investigating', 'Dismissed') THEN report_status
+    ELSE 'New' END;
+ALTER TABLE Reports ADD CONSTRAINT reports_status_check
+    CHECK (report_status IN ('New', 'Investigating', 'Resolved', 'Dismissed'));
+CREATE INDEX IF NOT EXISTS reports_status_idx ON Reports (report_status);
+
+-- moderator notes on a report
+CREATE TABLE IF NOT EXISTS Report_Notes (
+    note_id SERIAL PRIMARY KEY,
+    report_id INT NOT NULL REFERENCES Reports(report_id) ON DELETE CASCADE,
+    admin_id INT REFERENCES Users(user_id) ON DELETE SET NULL,
+    note TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS report_notes_report_idx ON Report_Notes (report_id);
+
+-- warnings, suspensions and bans
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS suspended_until TIMESTAMP WITH TIME ZONE;
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS banned_at TIMESTAMP WITH TIME ZONE;
+CREATE TABLE IF NOT EXISTS Moderation_Actions (
+    action_id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    admin_id INT REFERENCES Users(user_id) ON DELETE SET NULL,
+    report_id INT REFERENCES Reports(report_id) ON DELETE SET NULL,
+    action_type VARCHAR(20) NOT NULL CHECK (action_type IN ('warn', 'suspend', 'ban', 'reinstate')),
+    reason TEXT NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS moderation_actions_user_idx ON Moderation_Actions (user_id);
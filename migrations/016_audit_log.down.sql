@@ -0,0 +1,7 @@
+DROP INDEX IF EXISTS admin_logs_action_idx;
+DROP INDEX IF EXISTS admin_logs_admin_idx;
+DROP INDEX IF EXISTS admin_logs_timestamp_idx;
+ALTER TABLE Admin_Logs DROP COLUMN IF EXISTS reason;
+ALTER TABLE Admin_Logs DROP COLUMN IF EXISTS ip_address;
+ALTER TABLE Admin_Logs DROP COLUMN IF EXISTS after_data;
+ALTER TABLE Admin_Logs DROP COLUMN IF EXISTS before_data;
@@ -0,0 +1,8 @@
+-- fuller audit trail: what changed, from where and why
+ALTER TABLE Admin_Logs ADD COLUMN IF NOT EXISTS before_data JSONB;
+ALTER TABLE Admin_Logs ADD COLUMN IF NOT EXISTS after_data JSONB;
+ALTER TABLE Admin_Logs ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45);
+ALTER TABLE Admin_Logs ADD COLUMN IF NOT EXISTS reason TEXT;
+CREATE INDEX IF NOT EXISTS admin_logs_timestamp_idx ON Admin_Logs (timestamp DESC);
+CREATE INDEX IF NOT EXISTS admin_logs_admin_idx ON Admin_Logs (admin_id);
+CREATE INDEX IF NOT EXISTS admin_logs_action_idx ON Admin_Logs (action_type);
@@ -0,0 +1,5 @@
+ALTER TABLE Users DROP COLUMN IF EXISTS is_admin;
+ALTER TABLE Users ADD COLUMN is_admin BOOLEAN DEFAULT FALSE;
+UPDATE Users SET is_admin = (admin_role IS NOT NULL);
+ALTER TABLE Users DROP COLUMN IF EXISTS is_protected;
+ALTER TABLE Users DROP COLUMN IF EXISTS admin_role;
@@ -0,0 +1,12 @@
+-- admin roles replace the single is_admin flag, which stays as a read-only summary
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS admin_role VARCHAR(30)
+    CHECK (admin_role IN ('super_admin', 'moderator', 'skill_curator'));
+-- protected accounts can't be demoted or deleted by other admins
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS is_protected BOOLEAN NOT NULL DEFAULT FALSE;
+
+UPDATE Users SET admin_role = 'super_admin' WHERE is_admin AND admin_role IS NULL;
+-- the account the old code treated as root by id
+UPDATE Users SET is_protected = TRUE WHERE user_id = 1 AND is_admin;
+
+ALTER TABLE Users DROP COLUMN is_admin;
+ALTER TABLE Users ADD COLUMN is_admin BOOLEAN GENERATED ALWAYS AS (admin_role IS NOT NULL) STORED;
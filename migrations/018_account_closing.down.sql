@@ -0,0 +1,8 @@
+-- put back what can be restored; the old schema hard-deleted everyone else
+UPDATE Users u SET date_of_birth = (d.original ->> 'date_of_birth')::date
+  FROM Deleted_Accounts d WHERE d.user_id = u.user_id AND u.date_of_birth IS NULL;
+DELETE FROM Users WHERE date_of_birth IS NULL;
+DROP TABLE IF EXISTS Deleted_Accounts;
+ALTER TABLE Users ALTER COLUMN date_of_birth SET NOT NULL;
+ALTER TABLE Users DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE Users DROP COLUMN IF EXISTS deactivated_at;
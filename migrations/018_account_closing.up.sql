@@ -0,0 +1,15 @@
+-- users can deactivate their account (undone by logging in) or delete it
+-- deleted accounts are anonymized in place so other people's history stays intact
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE Users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE Users ALTER COLUMN date_of_birth DROP NOT NULL;
+
+-- personal details of a deleted account, kept until the restore window closes
+CREATE TABLE IF NOT EXISTS Deleted_Accounts (
+    user_id INT PRIMARY KEY REFERENCES Users(user_id) ON DELETE CASCADE,
+    original JSONB NOT NULL,
+    deleted_by INT REFERENCES Users(user_id) ON DELETE SET NULL,
+    deleted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    restore_until TIMESTAMP WITH TIME ZONE NOT NULL
+);
+CREATE INDEX IF NOT EXISTS deleted_accounts_restore_until_idx ON Deleted_Accounts(restore_until);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS Skill_Aliases;
+ALTER TABLE Skills DROP COLUMN IF EXISTS category_id;
+DROP TABLE IF EXISTS Skill_Categories;
@@ -0,0 +1,21 @@
+-- skills are grouped into categories and can have other names that resolve to them
+CREATE TABLE IF NOT EXISTS Skill_Categories (
+    category_id SERIAL PRIMARY KEY,
+    category_name VARCHAR(50) UNIQUE NOT NULL
+);
+INSERT INTO Skill_Categories (category_name) VALUES
+    ('Math'), ('Science'), ('Languages'), ('Music'), ('Arts'),
+    ('Technology'), ('Sports & Fitness'), ('Test Prep')
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE Skills ADD COLUMN IF NOT EXISTS category_id INT
+    REFERENCES Skill_Categories(category_id) ON DELETE SET NULL;
+
+-- aliases ("Calc" for "Calculus"); a name is either a skill or an alias, never both
+CREATE TABLE IF NOT EXISTS Skill_Aliases (
+    alias_id SERIAL PRIMARY KEY,
+    skill_id INT NOT NULL REFERENCES Skills(skill_id) ON DELETE CASCADE,
+    alias VARCHAR(50) NOT NULL
+);
+CREATE UNIQUE INDEX IF NOT EXISTS skill_aliases_alias_idx ON Skill_Aliases (LOWER(alias));
+CREATE INDEX IF NOT EXISTS skill_aliases_skill_idx ON Skill_Aliases (skill_id);
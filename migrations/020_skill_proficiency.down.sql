@@ -0,0 +1,6 @@
+ALTER TABLE User_Skills_Sought DROP COLUMN IF EXISTS target_level;
+ALTER TABLE User_Skills_Offered DROP COLUMN IF EXISTS credential_detail;
+ALTER TABLE User_Skills_Offered DROP COLUMN IF EXISTS credential_type;
+ALTER TABLE User_Skills_Offered DROP COLUMN IF EXISTS description;
+ALTER TABLE User_Skills_Offered DROP COLUMN IF EXISTS years_experience;
+ALTER TABLE User_Skills_Offered DROP COLUMN IF EXISTS proficiency_level;
@@ -0,0 +1,13 @@
+-- how well someone knows a skill they teach, and what level a learner is aiming for
+ALTER TABLE User_Skills_Offered ADD COLUMN IF NOT EXISTS proficiency_level VARCHAR(20)
+    CHECK (proficiency_level IN ('beginner', 'intermediate', 'advanced', 'expert'));
+ALTER TABLE User_Skills_Offered ADD COLUMN IF NOT EXISTS years_experience SMALLINT
+    CHECK (years_experience BETWEEN 0 AND 80);
+ALTER TABLE User_Skills_Offered ADD COLUMN IF NOT EXISTS description VARCHAR(500);
+-- optional evidence, e.g. a course grade or a certification
+ALTER TABLE User_Skills_Offered ADD COLUMN IF NOT EXISTS credential_type VARCHAR(20)
+    CHECK (credential_type IN ('course_grade', 'certification', 'award', 'other'));
+ALTER TABLE User_Skills_Offered ADD COLUMN IF NOT EXISTS credential_detail VARCHAR(200);
+
+ALTER TABLE User_Skills_Sought ADD COLUMN IF NOT EXISTS target_level VARCHAR(20)
+    CHECK (target_level IN ('beginner', 'intermediate', 'advanced', 'expert'));
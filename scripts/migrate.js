@@ -0,0 +1,38 @@
+// usage: node scripts/migrate.js [up [version] | down [steps] | status]
+import pg from "pg";
+import "dotenv/config";
+import { migrateUp, migrateDown, migrationStatus } from "../lib/migrations.js";
+
+const [command = "up", arg] = process.argv.slice(2);
+const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL });
+
+try {
+  if (command === "up") {
+    const ran = await migrateUp(pool, {
+      to: arg ? parseInt(arg) : undefined,
+    });
+    if (ran.length === 0) console.log("Database is up to date.");
+    ran.forEach((m) => console.log(`Applied ${m.id}`));
+  } else if (command === "down") {
+    const reverted = await migrateDown(pool, { steps: parseInt(arg) || 1 });
+    if (reverted.length === 0) console.log("Nothing to roll back.");
+    reverted.forEach((m) => console.log(`Reverted ${m.id}`));
+  } else if (command === "status") {
+    const status = await migrationStatus(pool);
+    status.forEach((m) =>
+      console.log(
+        `${m.appliedAt ? "applied" : "pending"}  ${m.id}${
+          m.appliedAt ? `  (${m.appliedAt.toISOString()})` : ""
+        }`
+      )
+    );
+  } else {
+    console.error(`Unknown command "${command}". Use up, down or status.`);
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error("Migration failed:", error.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
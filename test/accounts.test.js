@@ -0,0 +1,241 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+import request from "supertest";
+import {
+  startTestApp,
+  createUser,
+  createSkill,
+  makeAdmin,
+  guest,
+  futureTime,
+  PASSWORD,
+} from "./helpers.js";
+import { purgeDeletedAccounts } from "../lib/jobs.js";
+
+let ctx;
+let admin;
+before(async () => {
+  ctx = await startTestApp();
+  admin = await makeAdmin(ctx.pool, await createUser(ctx.app));
+});
+after(() => ctx.stop());
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 200));
+
+// log in from a fresh agent
+async function login(email) {
+  return (await guest(ctx.app))
+    .post("/api/login")
+    .send({ email, password: PASSWORD });
+}
+
+// collect a binary response body
+function binary(res, callback) {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+}
+
+test("deactivated accounts are hidden until the owner logs back in", async () => {
+  const name = `Hidden ${Date.now()}`;
+  const user = await createUser(ctx.app, { userName: name });
+  const other = await createUser(ctx.app);
+
+  await user.agent
+    .post("/api/account/deactivate")
+    .send({ password: "wrong-password" })
+    .expect(400);
+  await user.agent
+    .post("/api/account/deactivate")
+    .send({ password: PASSWORD })
+    .expect(200);
+  await user.agent.get("/api/notifications").expect(401);
+
+  const search = await other.agent
+    .get(`/api/search?q=${encodeURIComponent(name)}`)
+    .expect(200);
+  assert.equal(search.body.results.length, 0);
+  await other.agent.get(`/profile/view/${user.id}`).expect(404);
+  await other.agent
+    .post("/api/messages/send")
+    .send({ receiverId: user.id, messageText: "Hi" })
+    .expect(404);
+
+  assert.equal((await login(user.email)).status, 200, "logging in reopens it");
+  const again = await other.agent
+    .get(`/api/search?q=${encodeURIComponent(name)}`)
+    .expect(200);
+  assert.equal(again.body.results[0].user_id, user.id);
+});
+
+test("deleting an account anonymizes it and the emailed link restores it", async () => {
+  const provider = await createUser(ctx.app, { userName: "Tutor" });
+  await provider.agent
+    .put("/api/availability")
+    .send({
+      timezone: "UTC",
+      windows: [0, 1, 2, 3, 4, 5, 6].map((day) => ({
+        dayOfWeek: day,
+        startTime: "08:00",
+        endTime: "20:00",
+      })),
+    })
+    .expect(200);
+  const student = await createUser(ctx.app, { userName: "Leaving" });
+  await student.agent
+    .post("/api/messages/send")
+    .send({ receiverId: provider.id, messageText: "Thanks for everything" })
+    .expect(201);
+  await student.agent
+    .post("/api/sessions/request")
+    .send({
+      providerId: provider.id,
+      skillTaughtId: await createSkill(ctx.pool, `Chemistry ${Date.now()}`),
+      sessionDateTime: futureTime(10),
+      locationType: "Online",
+      durationMinutes: 60,
+    })
+    .expect(201);
+
+  await student.agent
+    .post("/api/account/delete")
+    .send({ password: PASSWORD })
+    .expect(200);
+  assert.equal((await login(student.email)).status, 401);
+
+  // the tutor keeps the history, shown as a deleted user
+  const inbox = await provider.agent.get("/api/messages/inbox").expect(200);
+  const thread = inbox.body.conversations.find(
+    (c) => c.other_user_id === student.id
+  );
+  assert.equal(thread.other_user_name, "Deleted user");
+  assert.equal(thread.message_text, "Thanks for everything");
+  const sessions = await provider.agent.get(
+    `/api/sessions/user/${provider.id}`
+  );
+  assert.equal(sessions.body.sessions[0].status, "Cancelled");
+
+  await settle();
+  const link = ctx.notifier.transport.sent
+    .find((m) => m.to === student.email && m.template === "account_deleted")
+    .text.match(/\/account\/restore\/[\w.-]+/)[0];
+  const visitor = request.agent(ctx.app);
+  const page = await visitor.get(link).expect(200);
+  const token = page.text.match(/name="_csrf" value="([0-9a-f]+)"/)[1];
+  await visitor.post(link).type("form").send({ _csrf: token }).expect(200);
+  await request(ctx.app).get(link).expect(400);
+
+  const back = await login(student.email);
+  assert.equal(back.status, 200);
+  assert.equal(back.body.user.name, "Leaving");
+});
+
+test("admins can delete and restore users within the window", async () => {
+  const user = await createUser(ctx.app);
+  await admin.agent
+    .delete(`/api/admin/users/${user.id}`)
+    .send({ reason: "Requested by email" })
+    .expect(200);
+  await admin.agent.delete(`/api/admin/users/${user.id}`).expect(404);
+
+  const list = await admin.agent.get("/api/admin/users").expect(200);
+  const row = list.body.users.find((u) => u.user_id === user.id);
+  assert.equal(row.user_name, "Deleted user");
+  assert.equal(row.original_email, user.email);
+  assert.ok(row.restore_until);
+
+  await admin.agent.post(`/api/admin/users/${user.id}/restore`).expect(200);
+  assert.equal((await login(user.email)).status, 200);
+  const logs = await admin.agent.get("/api/admin/logs").expect(200);
+  assert.equal(logs.body.logs[0].action_type, "Restore User");
+
+  // someone else took the address in the meantime
+  await admin.agent.delete(`/api/admin/users/${user.id}`).expect(200);
+  const newcomer = await guest(ctx.app);
+  await newcomer
+    .post("/api/register")
+    .send({
+      email: user.email,
+      password: PASSWORD,
+      userName: "Newcomer",
+      dateOfBirth: "2000-01-01",
+    })
+    .expect(201);
+  await admin.agent.post(`/api/admin/users/${user.id}/restore`).expect(409);
+});
+
+test("expired deletions are purged and can't be restored", async () => {
+  const user = await createUser(ctx.app);
+  await admin.agent.delete(`/api/admin/users/${user.id}`).expect(200);
+  await ctx.pool.query(
+    "UPDATE Deleted_Accounts SET restore_until = NOW() - INTERVAL '1 minute' WHERE user_id = $1",
+    [user.id]
+  );
+  assert.ok((await purgeDeletedAccounts(ctx.pool)).includes(user.id));
+  await admin.agent.post(`/api/admin/users/${user.id}/restore`).expect(404);
+});
+
+test("a purge that fails part way keeps the account queued", async () => {
+  const user = await createUser(ctx.app);
+  await admin.agent.delete(`/api/admin/users/${user.id}`).expect(200);
+  await ctx.pool.query(
+    "UPDATE Deleted_Accounts SET restore_until = NOW() - INTERVAL '1 minute' WHERE user_id = $1",
+    [user.id]
+  );
+
+  // a pool whose clients fail on one of the later deletes
+  const failing = {
+    async connect() {
+      const client = await ctx.pool.connect();
+      return {
+        query: (sql, params) =>
+          sql.includes("DELETE FROM Login_Attempts")
+            ? Promise.reject(new Error("disk full"))
+            : client.query(sql, params),
+        release: () => client.release(),
+      };
+    },
+  };
+  await assert.rejects(purgeDeletedAccounts(failing), /disk full/);
+  const queued = await ctx.pool.query(
+    "SELECT 1 FROM Deleted_Accounts WHERE user_id = $1",
+    [user.id]
+  );
+  assert.equal(queued.rowCount, 1);
+
+  assert.ok((await purgeDeletedAccounts(ctx.pool)).includes(user.id));
+});
+
+test("users can download their data as json or zip", async () => {
+  const user = await createUser(ctx.app);
+  const other = await createUser(ctx.app);
+  await user.agent
+    .post("/api/messages/send")
+    .send({ receiverId: other.id, messageText: "Exported hello" })
+    .expect(201);
+
+  const json = await user.agent.get("/api/account/export").expect(200);
+  assert.match(json.headers["content-disposition"], /attachment/);
+  assert.equal(json.body.profile.email, user.email);
+  assert.equal(json.body.profile.password_hash, undefined);
+  assert.equal(json.body.messages[0].message_text, "Exported hello");
+  assert.equal(json.body.messages[0].direction, "sent");
+
+  const zip = await user.agent
+    .get("/api/account/export?format=zip")
+    .buffer(true)
+    .parse(binary)
+    .expect(200);
+  const body = zip.body;
+  // first local file header: profile.json
+  assert.equal(body.readUInt32LE(0), 0x04034b50);
+  const compressedSize = body.readUInt32LE(18);
+  const nameLength = body.readUInt16LE(26);
+  assert.equal(body.toString("utf8", 30, 30 + nameLength), "profile.json");
+  const start = 30 + nameLength;
+  const profile = JSON.parse(
+    zlib.inflateRawSync(body.subarray(start, start + compressedSize))
+  );
+  assert.equal(profile.user_id, user.id);
+});
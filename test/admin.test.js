@@ -0,0 +1,155 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, createUser, makeAdmin, guest } from "./helpers.js";
+
+// every admin-only api route (ids don't need to exist, auth runs first)
+const ADMIN_ROUTES = [
+  ["get", "/api/admin/users"],
+  ["post", "/api/admin/users/1/role"],
+  ["delete", "/api/admin/users/1"],
+  ["get", "/api/admin/reports"],
+  ["get", "/api/admin/reports/1"],
+  ["post", "/api/admin/report/1/status"],
+  ["post", "/api/admin/reports/1/assign"],
+  ["post", "/api/admin/reports/1/notes"],
+  ["post", "/api/admin/users/1/moderate"],
+  ["post", "/api/admin/users/1/reinstate"],
+  ["get", "/api/admin/logs"],
+  ["get", "/api/admin/logs/export"],
+  ["get", "/api/admin/migrations"],
+  ["get", "/api/admin/lockouts"],
+  ["post", "/api/admin/lockouts/1/clear"],
+  ["get", "/api/admin/suggestions"],
+  ["post", "/api/admin/suggestions/action"],
+  ["post", "/api/skills"],
+  ["put", "/api/skills/1"],
+  ["delete", "/api/skills/1"],
+];
+
+let ctx;
+let admin;
+let member;
+before(async () => {
+  ctx = await startTestApp();
+  admin = await makeAdmin(ctx.pool, await createUser(ctx.app));
+  member = await createUser(ctx.app);
+});
+after(() => ctx.stop());
+
+for (const [method, url] of ADMIN_ROUTES) {
+  test(`${method.toUpperCase()} ${url} is refused for guests`, async () => {
+    const visitor = await guest(ctx.app);
+    const res = await visitor[method](url).send({});
+    assert.equal(res.status, 403);
+  });
+
+  test(`${method.toUpperCase()} ${url} is refused for regular users`, async () => {
+    const res = await member.agent[method](url).send({});
+    assert.equal(res.status, 403);
+  });
+}
+
+test("admin page redirects non-admins", async () => {
+  const res = await member.agent.get("/admin");
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.location, "/");
+});
+
+test("admin page renders for admins", async () => {
+  const res = await admin.agent.get("/admin");
+  assert.equal(res.status, 200);
+});
+
+test("admins can list users and migrations", async () => {
+  const users = await admin.agent.get("/api/admin/users").expect(200);
+  assert.ok(users.body.users.some((u) => u.user_id === member.id));
+
+  const migrations = await admin.agent.get("/api/admin/migrations").expect(200);
+  assert.equal(migrations.body.pending, 0);
+});
+
+test("admins can add, rename and delete skills", async () => {
+  const name = `Origami ${Date.now()}`;
+  await admin.agent.post("/api/skills").send({ skillName: name }).expect(201);
+  const created = await ctx.pool.query(
+    "SELECT skill_id FROM Skills WHERE skill_name = $1",
+    [name]
+  );
+  const skillId = created.rows[0].skill_id;
+
+  await admin.agent
+    .put(`/api/skills/${skillId}`)
+    .send({ skillName: `Paper Folding ${Date.now()}` })
+    .expect(200);
+  await admin.agent.delete(`/api/skills/${skillId}`).expect(200);
+});
+
+test("approving a suggestion notifies the suggester", async () => {
+  const name = `Juggling ${Date.now()}`;
+  await member.agent
+    .post("/api/skills/suggest")
+    .send({ skillName: name })
+    .expect(201);
+  const pending = await admin.agent.get("/api/admin/suggestions").expect(200);
+  const suggestion = pending.body.suggestions.find(
+    (s) => s.suggested_skill_name === name
+  );
+
+  await admin.agent
+    .post("/api/admin/suggestions/action")
+    .send({ suggestionId: suggestion.suggestion_id, action: "approve" })
+    .expect(200);
+
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  const res = await member.agent.get("/api/notifications");
+  assert.ok(res.body.notifications.some((n) => n.type === "skill_suggestion"));
+});
+
+test("a suggestion is only handled once", async () => {
+  const name = `Whittling ${Date.now()}`;
+  await member.agent
+    .post("/api/skills/suggest")
+    .send({ skillName: name })
+    .expect(201);
+  const pending = await admin.agent.get("/api/admin/suggestions").expect(200);
+  const { suggestion_id: suggestionId } = pending.body.suggestions.find(
+    (s) => s.suggested_skill_name === name
+  );
+
+  await admin.agent
+    .post("/api/admin/suggestions/action")
+    .send({ suggestionId: 999999, action: "approve" })
+    .expect(404);
+  await admin.agent
+    .post("/api/admin/suggestions/action")
+    .send({ suggestionId, action: "reject" })
+    .expect(200);
+  await admin.agent
+    .post("/api/admin/suggestions/action")
+    .send({ suggestionId, action: "approve" })
+    .expect(409);
+  const skills = await ctx.pool.query(
+    "SELECT 1 FROM Skills WHERE skill_name = $1",
+    [name]
+  );
+  assert.equal(skills.rowCount, 0);
+});
+
+test("admins can update report status", async () => {
+  const reporter = await createUser(ctx.app);
+  await reporter.agent
+    .post("/api/reports")
+    .send({ reportedUserId: member.id, reason: "Spam" })
+    .expect(201);
+  const reports = await admin.agent.get("/api/admin/reports").expect(200);
+  const report = reports.body.reports.find(
+    (r) => r.reporter_id === reporter.id
+  );
+
+  await admin.agent
+    .post(`/api/admin/report/${report.report_id}/status`)
+    .send({ newStatus: "Investigating" })
+    .expect(200);
+  const logs = await admin.agent.get("/api/admin/logs").expect(200);
+  assert.equal(logs.body.logs[0].action_type, "Update Report");
+});
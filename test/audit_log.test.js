@@ -0,0 +1,108 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, createUser, makeAdmin } from "./helpers.js";
+import { auditDiff, toCsv } from "../lib/audit.js";
+
+let ctx;
+let admin;
+before(async () => {
+  ctx = await startTestApp();
+  admin = await makeAdmin(ctx.pool, await createUser(ctx.app));
+});
+after(() => ctx.stop());
+
+test("diffs keep changed fields and csv fields are escaped", () => {
+  assert.deepEqual(auditDiff({ a: 1, b: "x" }, { a: 2, b: "x" }), {
+    before: { a: 1 },
+    after: { a: 2 },
+  });
+  assert.deepEqual(auditDiff(null, { a: 1 }), {
+    before: null,
+    after: { a: 1 },
+  });
+
+  const csv = toCsv(
+    [{ a: 'say "hi", bye', b: "=SUM(A1)", c: { d: 1 } }],
+    ["a", "b", "c"]
+  );
+  assert.equal(csv, 'a,b,c\r\n"say ""hi"", bye",\'=SUM(A1),"{""d"":1}"\r\n');
+});
+
+test("report updates record the old and new status with ip and reason", async () => {
+  const reporter = await createUser(ctx.app);
+  const reported = await createUser(ctx.app);
+  await reporter.agent
+    .post("/api/reports")
+    .send({ reportedUserId: reported.id, reason: "Spam" })
+    .expect(201);
+  const reports = await admin.agent.get("/api/admin/reports").expect(200);
+  const report = reports.body.reports.find(
+    (r) => r.reporter_id === reporter.id
+  );
+
+  await admin.agent
+    .post(`/api/admin/report/${report.report_id}/status`)
+    .send({ newStatus: "Investigating", reason: "Looking into it" })
+    .expect(200);
+  const res = await admin.agent
+    .get("/api/admin/logs?action=Update Report")
+    .expect(200);
+  const log = res.body.logs[0];
+  assert.equal(log.target_id, report.report_id);
+  assert.deepEqual(log.before_data, { report_status: "New" });
+  assert.deepEqual(log.after_data, { report_status: "Investigating" });
+  assert.equal(log.reason, "Looking into it");
+  assert.ok(log.ip_address);
+  assert.ok(res.body.logs.every((l) => l.action_type === "Update Report"));
+});
+
+test("logs page and filter by admin, table and date", async () => {
+  const other = await makeAdmin(ctx.pool, await createUser(ctx.app));
+  for (let i = 0; i < 3; i++)
+    await other.agent
+      .post("/api/skills")
+      .send({ skillName: `Audit ${Date.now()} ${i}` })
+      .expect(201);
+
+  const first = await admin.agent
+    .get(`/api/admin/logs?adminId=${other.id}&table=Skills&pageSize=2`)
+    .expect(200);
+  assert.equal(first.body.total, 3);
+  assert.equal(first.body.logs.length, 2);
+  assert.ok(first.body.actions.includes("Create Skill"));
+  const second = await admin.agent
+    .get(`/api/admin/logs?adminId=${other.id}&table=Skills&pageSize=2&page=2`)
+    .expect(200);
+  assert.equal(second.body.logs.length, 1);
+  assert.ok(second.body.logs[0].log_id < first.body.logs[1].log_id);
+
+  const today = new Date().toISOString().slice(0, 10);
+  const dated = await admin.agent
+    .get(`/api/admin/logs?adminId=${other.id}&from=${today}&to=${today}`)
+    .expect(200);
+  assert.equal(dated.body.total, 3);
+  const old = await admin.agent
+    .get(`/api/admin/logs?adminId=${other.id}&to=2000-01-01`)
+    .expect(200);
+  assert.equal(old.body.total, 0);
+  await admin.agent.get("/api/admin/logs?from=yesterday").expect(400);
+});
+
+test("logs export as csv or json", async () => {
+  const csv = await admin.agent
+    .get("/api/admin/logs/export?table=Skills")
+    .expect(200);
+  assert.match(csv.headers["content-type"], /text\/csv/);
+  assert.match(csv.headers["content-disposition"], /attachment; .*\.csv/);
+  const lines = csv.text.trim().split("\r\n");
+  assert.equal(lines[0].split(",")[0], "log_id");
+  assert.ok(lines.slice(1).every((line) => line.includes(",Skills,")));
+
+  const json = await admin.agent
+    .get("/api/admin/logs/export?format=json&action=Create Skill")
+    .expect(200);
+  assert.ok(json.body.logs.length >= 3);
+  assert.ok(
+    json.body.logs.some((l) => l.after_data.skill_name.startsWith("Audit"))
+  );
+});
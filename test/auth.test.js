@@ -0,0 +1,56 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { startTestApp, createUser, PASSWORD, guest } from "./helpers.js";
+
+let ctx;
+before(async () => (ctx = await startTestApp()));
+after(() => ctx.stop());
+
+test("register rejects missing fields", async () => {
+  const visitor = await guest(ctx.app);
+  const res = await visitor
+    .post("/api/register")
+    .send({ email: "missing@example.com" });
+  assert.equal(res.status, 400);
+});
+
+test("register rejects duplicate email", async () => {
+  const visitor = await guest(ctx.app);
+  const user = await createUser(ctx.app);
+  const res = await visitor.post("/api/register").send({
+    email: user.email,
+    password: PASSWORD,
+    userName: "Copy",
+    dateOfBirth: "2000-01-01",
+  });
+  assert.equal(res.status, 409);
+});
+
+test("login with wrong password is rejected", async () => {
+  const visitor = await guest(ctx.app);
+  const user = await createUser(ctx.app);
+  const res = await visitor
+    .post("/api/login")
+    .send({ email: user.email, password: "wrong-password" });
+  assert.equal(res.status, 401);
+});
+
+test("login starts a session that protected routes accept", async () => {
+  const user = await createUser(ctx.app, { userName: "Login Tester" });
+  const res = await user.agent.get("/api/messages/unread");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.unreadTotal, 0);
+});
+
+test("protected api routes return 401 without a session", async () => {
+  const res = await request(ctx.app).get("/api/messages/unread");
+  assert.equal(res.status, 401);
+});
+
+test("logout ends the session", async () => {
+  const user = await createUser(ctx.app);
+  await user.agent.post("/api/logout").expect(200);
+  const res = await user.agent.get("/api/messages/unread");
+  assert.equal(res.status, 401);
+});
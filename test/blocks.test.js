@@ -0,0 +1,135 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  startTestApp,
+  createUser,
+  createSkill,
+  futureTime,
+} from "./helpers.js";
+
+let ctx;
+before(async () => (ctx = await startTestApp()));
+after(() => ctx.stop());
+
+test("blocking stops messages and requests in both directions", async () => {
+  const user = await createUser(ctx.app);
+  const other = await createUser(ctx.app);
+  await user.agent.post(`/api/blocks/${other.id}`).expect(201);
+
+  for (const [from, to] of [
+    [user, other],
+    [other, user],
+  ]) {
+    const res = await from.agent
+      .post("/api/messages/send")
+      .send({ receiverId: to.id, messageText: "Hi" })
+      .expect(403);
+    assert.equal(res.body.message, "You can't contact this user.");
+    await from.agent
+      .post("/api/sessions/request")
+      .send({
+        providerId: to.id,
+        skillTaughtId: await createSkill(ctx.pool, `Block ${Date.now()}`),
+        sessionDateTime: futureTime(10),
+        locationType: "Online",
+      })
+      .expect(403);
+  }
+
+  await user.agent.delete(`/api/blocks/${other.id}`).expect(200);
+  await other.agent
+    .post("/api/messages/send")
+    .send({ receiverId: user.id, messageText: "Hi again" })
+    .expect(201);
+});
+
+test("blocking stops rescheduling an existing session", async () => {
+  const provider = await createUser(ctx.app);
+  const student = await createUser(ctx.app);
+  await provider.agent
+    .put("/api/availability")
+    .send({
+      timezone: "UTC",
+      windows: [0, 1, 2, 3, 4, 5, 6].map((day) => ({
+        dayOfWeek: day,
+        startTime: "08:00",
+        endTime: "20:00",
+      })),
+    })
+    .expect(200);
+  await student.agent
+    .post("/api/sessions/request")
+    .send({
+      providerId: provider.id,
+      skillTaughtId: await createSkill(ctx.pool, `Block ${Date.now()}`),
+      sessionDateTime: futureTime(10),
+      locationType: "Online",
+    })
+    .expect(201);
+  const history = await student.agent.get(`/api/sessions/user/${student.id}`);
+  const sessionId = history.body.sessions[0].session_id;
+  await student.agent
+    .post(`/api/sessions/${sessionId}/propose`)
+    .send({ proposedDateTime: futureTime(12) })
+    .expect(201);
+  const proposals = await provider.agent.get(
+    `/api/sessions/${sessionId}/proposals`
+  );
+  const proposalId = proposals.body.proposals[0].proposal_id;
+
+  await student.agent.post(`/api/blocks/${provider.id}`).expect(201);
+  const res = await provider.agent
+    .post(`/api/sessions/${sessionId}/propose`)
+    .send({ proposedDateTime: futureTime(14) })
+    .expect(403);
+  assert.equal(res.body.message, "You can't contact this user.");
+  await provider.agent
+    .post(`/api/sessions/${sessionId}/proposals/${proposalId}/accept`)
+    .expect(403);
+});
+
+test("blocked users drop out of search and provider lists", async () => {
+  const name = `Hidden${Date.now()}`;
+  const user = await createUser(ctx.app);
+  const other = await createUser(ctx.app, { userName: `${name} Tutor` });
+  const skillId = await createSkill(ctx.pool, `Music ${Date.now()}`);
+  await other.agent
+    .post("/api/user/skills/offer")
+    .send({ skills: [{ skillId }] })
+    .expect(200);
+
+  const listed = await user.agent.get(`/api/skills/${skillId}/providers`);
+  assert.deepEqual(
+    listed.body.providers.map((p) => p.user_id),
+    [other.id]
+  );
+
+  await other.agent.post(`/api/blocks/${user.id}`).expect(201);
+  const providers = await user.agent.get(`/api/skills/${skillId}/providers`);
+  assert.deepEqual(providers.body.providers, []);
+  const search = await user.agent.get(`/api/search?q=${name}`);
+  assert.deepEqual(search.body.results, []);
+  const reverse = await other.agent.get(`/api/search?q=${user.userName}`);
+  assert.ok(!reverse.body.results.some((r) => r.user_id === user.id));
+});
+
+test("the block list shows who I blocked", async () => {
+  const user = await createUser(ctx.app);
+  const other = await createUser(ctx.app);
+
+  await user.agent.post(`/api/blocks/${user.id}`).expect(400);
+  await user.agent.post("/api/blocks/999999").expect(404);
+  await user.agent.post(`/api/blocks/${other.id}`).expect(201);
+  await user.agent.post(`/api/blocks/${other.id}`).expect(201);
+
+  const mine = await user.agent.get("/api/blocks").expect(200);
+  assert.deepEqual(
+    mine.body.blocks.map((b) => b.user_id),
+    [other.id]
+  );
+  const theirs = await other.agent.get("/api/blocks").expect(200);
+  assert.deepEqual(theirs.body.blocks, []);
+
+  const page = await user.agent.get(`/profile/view/${other.id}`).expect(200);
+  assert.match(page.text, /Unblock User/);
+});
@@ -0,0 +1,96 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { startTestApp, createUser, makeAdmin, guest } from "./helpers.js";
+
+let ctx;
+before(async () => (ctx = await startTestApp()));
+after(() => ctx.stop());
+
+test("mutating requests without a token are refused", async () => {
+  const user = await createUser(ctx.app);
+  const other = await createUser(ctx.app);
+
+  const res = await user.agent
+    .post("/api/messages/send")
+    .set("X-CSRF-Token", "")
+    .send({ receiverId: other.id, messageText: "Hi" });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.message, "Invalid or missing CSRF token.");
+
+  await user.agent
+    .post("/api/messages/send")
+    .set("X-CSRF-Token", "0".repeat(64))
+    .send({ receiverId: other.id, messageText: "Hi" })
+    .expect(403);
+  await user.agent
+    .post("/api/messages/send")
+    .send({ receiverId: other.id, messageText: "Hi" })
+    .expect(201);
+});
+
+test("admin actions need the token too", async () => {
+  const admin = await makeAdmin(ctx.pool, await createUser(ctx.app));
+  const target = await createUser(ctx.app);
+
+  await admin.agent
+    .delete(`/api/admin/users/${target.id}`)
+    .set("X-CSRF-Token", "")
+    .expect(403);
+  await admin.agent
+    .post(`/api/admin/users/${target.id}/role`)
+    .set("X-CSRF-Token", "")
+    .send({ role: "moderator" })
+    .expect(403);
+  const result = await ctx.pool.query(
+    "SELECT is_admin FROM Users WHERE user_id = $1",
+    [target.id]
+  );
+  assert.equal(result.rows[0].is_admin, false);
+});
+
+test("another session's token is refused", async () => {
+  const visitor = await guest(ctx.app);
+  const other = await guest(ctx.app);
+  const token = (await other.get("/api/csrf-token")).body.csrfToken;
+
+  await visitor
+    .post("/forgot-password")
+    .set("X-CSRF-Token", token)
+    .send({ email: "someone@example.com" })
+    .expect(403);
+});
+
+test("pages embed the token for axios and plain forms", async () => {
+  const visitor = request.agent(ctx.app);
+  const page = await visitor.get("/forgot-password").expect(200);
+  const token = page.text.match(/name="_csrf" value="([0-9a-f]+)"/)[1];
+
+  await visitor
+    .post("/forgot-password")
+    .type("form")
+    .send({ _csrf: token, email: "someone@example.com" })
+    .expect(200);
+
+  const user = await createUser(ctx.app);
+  const dashboard = await user.agent.get("/dashboard").expect(200);
+  assert.match(
+    dashboard.text,
+    /axios\.defaults\.headers\.common\["X-CSRF-Token"\] = "[0-9a-f]{64}"/
+  );
+});
+
+test("cors only answers configured origins", async () => {
+  const allowed = await request(ctx.app)
+    .get("/api/csrf-token")
+    .set("Origin", "http://localhost:3000");
+  assert.equal(
+    allowed.headers["access-control-allow-origin"],
+    "http://localhost:3000"
+  );
+
+  const other = await request(ctx.app)
+    .get("/api/csrf-token")
+    .set("Origin", "https://evil.example.com");
+  assert.equal(other.headers["access-control-allow-origin"], undefined);
+});
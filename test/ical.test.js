@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCalendar } from "../lib/ical.js";
+
+const session = {
+  session_id: 7,
+  session_date_time: "2026-03-02T15:00:00Z",
+  duration_minutes: 60,
+  skill_name: "Algebra",
+  provider_name: "Tutor",
+  requester_name: "Student",
+  location_type: "Online",
+  status: "Confirmed",
+};
+
+test("meeting links can't inject properties", () => {
+  const calendar = buildCalendar([
+    {
+      ...session,
+      meeting_url: "https://meet.example/abc\r\nATTENDEE;ROLE=CHAIR:evil",
+    },
+  ]);
+  const lines = calendar.split("\r\n");
+  assert.ok(!lines.some((line) => line.startsWith("ATTENDEE")));
+  assert.ok(
+    lines.includes("URL:https://meet.example/abc\\nATTENDEE\\;ROLE=CHAIR:evil")
+  );
+});
+
+test("long meeting links are folded", () => {
+  const calendar = buildCalendar([
+    { ...session, meeting_url: `https://meet.example/${"x".repeat(100)}` },
+  ]);
+  const lines = calendar.split("\r\n");
+  assert.ok(lines.every((line) => Buffer.byteLength(line) <= 75));
+  const start = lines.findIndex((line) => line.startsWith("URL:"));
+  assert.ok(lines[start + 1].startsWith(" "));
+});
@@ -0,0 +1,148 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  startTestApp,
+  createUser,
+  makeAdmin,
+  PASSWORD,
+  guest,
+} from "./helpers.js";
+import {
+  LOCKOUT_THRESHOLD,
+  IP_FAILURE_LIMIT,
+  loginDelaySeconds,
+} from "../lib/lockout.js";
+
+let ctx;
+let visitor;
+before(async () => {
+  ctx = await startTestApp();
+  visitor = await guest(ctx.app);
+});
+after(async () => {
+  await ctx.pool.query("DELETE FROM Login_Attempts");
+  await ctx.stop();
+});
+// every test logs in from the same address
+beforeEach(() => ctx.pool.query("DELETE FROM Login_Attempts"));
+
+function login(email, password) {
+  return visitor.post("/api/login").send({ email, password });
+}
+
+// fail a login, skipping past any back-off so the failure counts
+async function failLogin(user) {
+  await ctx.pool.query(
+    "UPDATE Users SET locked_until = NULL WHERE user_id = $1",
+    [user.id]
+  );
+  const res = await login(user.email, "wrong-password");
+  assert.equal(res.status, 401);
+}
+
+test("back-off grows and then locks the account", () => {
+  assert.equal(loginDelaySeconds(1), 0);
+  assert.equal(loginDelaySeconds(2), 1);
+  assert.equal(loginDelaySeconds(4), 4);
+  assert.equal(loginDelaySeconds(LOCKOUT_THRESHOLD), 15 * 60);
+  assert.equal(loginDelaySeconds(LOCKOUT_THRESHOLD * 2), 30 * 60);
+  assert.equal(loginDelaySeconds(1000), 24 * 60 * 60);
+});
+
+test("quick retries after failures are slowed down", async () => {
+  const user = await createUser(ctx.app);
+  await failLogin(user);
+  await failLogin(user);
+
+  const res = await login(user.email, PASSWORD);
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers["retry-after"]) >= 1);
+});
+
+test("repeated failures lock the account even with the right password", async () => {
+  const user = await createUser(ctx.app);
+  for (let i = 0; i < LOCKOUT_THRESHOLD; i++) await failLogin(user);
+
+  const res = await login(user.email, PASSWORD);
+  assert.equal(res.status, 429);
+  assert.match(res.body.message, /Try again in 15 minutes/);
+
+  const attempts = await ctx.pool.query(
+    "SELECT outcome FROM Login_Attempts WHERE user_id = $1 ORDER BY attempt_id",
+    [user.id]
+  );
+  assert.deepEqual(
+    attempts.rows.map((a) => a.outcome),
+    [...Array(LOCKOUT_THRESHOLD).fill("bad_password"), "locked"]
+  );
+});
+
+test("failures sent at once are all counted", async () => {
+  const user = await createUser(ctx.app);
+  const results = await Promise.all(
+    Array.from({ length: LOCKOUT_THRESHOLD }, () => login(user.email, "nope"))
+  );
+  const failed = results.filter((res) => res.status === 401).length;
+  assert.ok(failed > 0);
+
+  const result = await ctx.pool.query(
+    "SELECT failed_login_count FROM Users WHERE user_id = $1",
+    [user.id]
+  );
+  assert.equal(result.rows[0].failed_login_count, failed);
+});
+
+test("a successful login resets the failure count", async () => {
+  const user = await createUser(ctx.app);
+  await failLogin(user);
+  await login(user.email, PASSWORD).expect(200);
+
+  const result = await ctx.pool.query(
+    "SELECT failed_login_count FROM Users WHERE user_id = $1",
+    [user.id]
+  );
+  assert.equal(result.rows[0].failed_login_count, 0);
+});
+
+test("too many failures from one address are refused", async () => {
+  const user = await createUser(ctx.app);
+  for (let i = 0; i < IP_FAILURE_LIMIT; i++)
+    await login(`nobody${i}@example.com`, "wrong-password").expect(401);
+
+  const res = await login(user.email, PASSWORD);
+  assert.equal(res.status, 429);
+});
+
+test("a forged X-Forwarded-For doesn't get around the address limit", async () => {
+  const user = await createUser(ctx.app);
+  for (let i = 0; i < IP_FAILURE_LIMIT; i++)
+    await login(`nobody${i}@example.com`, "wrong-password")
+      .set("X-Forwarded-For", `203.0.113.${i}`)
+      .expect(401);
+
+  const res = await login(user.email, PASSWORD).set(
+    "X-Forwarded-For",
+    "198.51.100.1"
+  );
+  assert.equal(res.status, 429);
+  const ips = await ctx.pool.query(
+    "SELECT 1 FROM Login_Attempts WHERE ip_address LIKE '203.0.113.%'"
+  );
+  assert.equal(ips.rowCount, 0);
+});
+
+test("admins can see and clear lockouts", async () => {
+  const admin = await makeAdmin(ctx.pool, await createUser(ctx.app));
+  const user = await createUser(ctx.app);
+  for (let i = 0; i < LOCKOUT_THRESHOLD; i++) await failLogin(user);
+
+  const list = await admin.agent.get("/api/admin/lockouts").expect(200);
+  assert.ok(list.body.lockouts.some((u) => u.user_id === user.id));
+  assert.ok(list.body.attempts.some((a) => a.user_id === user.id));
+
+  await admin.agent.post(`/api/admin/lockouts/${user.id}/clear`).expect(200);
+  await login(user.email, PASSWORD).expect(200);
+
+  const logs = await admin.agent.get("/api/admin/logs").expect(200);
+  assert.equal(logs.body.logs[0].action_type, "Clear Lockout");
+});
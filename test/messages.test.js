@@ -0,0 +1,107 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, createUser } from "./helpers.js";
+
+let ctx;
+before(async () => (ctx = await startTestApp()));
+after(() => ctx.stop());
+
+test("sent messages show up in the thread and inbox", async () => {
+  const alice = await createUser(ctx.app, { userName: "Alice" });
+  const bob = await createUser(ctx.app, { userName: "Bob" });
+
+  const sent = await alice.agent
+    .post("/api/messages/send")
+    .send({ receiverId: bob.id, messageText: "Hi Bob!" })
+    .expect(201);
+  assert.equal(sent.body.sent.message_text, "Hi Bob!");
+  assert.equal(sent.body.sent.sender_name, "Alice");
+
+  const inbox = await bob.agent.get("/api/messages/inbox").expect(200);
+  assert.equal(inbox.body.unreadTotal, 1);
+  assert.equal(inbox.body.conversations[0].unread_count, 1);
+
+  const thread = await alice.agent
+    .get(`/api/messages/thread/${bob.id}`)
+    .expect(200);
+  assert.deepEqual(
+    thread.body.messages.map((m) => m.message_text),
+    ["Hi Bob!"]
+  );
+});
+
+test("opening a thread marks it read", async () => {
+  const alice = await createUser(ctx.app);
+  const bob = await createUser(ctx.app);
+  await alice.agent
+    .post("/api/messages/send")
+    .send({ receiverId: bob.id, messageText: "Are you free?" })
+    .expect(201);
+
+  assert.equal(
+    (await bob.agent.get("/api/messages/unread")).body.unreadTotal,
+    1
+  );
+  await bob.agent.get(`/api/messages/thread/${alice.id}`).expect(200);
+  assert.equal(
+    (await bob.agent.get("/api/messages/unread")).body.unreadTotal,
+    0
+  );
+
+  // sender opening the thread does not mark their own message read
+  const other = await alice.agent.get(`/api/messages/thread/${bob.id}`);
+  assert.equal(other.body.messages[0].is_read, true);
+});
+
+test("thread can be marked unread again", async () => {
+  const alice = await createUser(ctx.app);
+  const bob = await createUser(ctx.app);
+  await alice.agent
+    .post("/api/messages/send")
+    .send({ receiverId: bob.id, messageText: "Ping" })
+    .expect(201);
+  await bob.agent.get(`/api/messages/thread/${alice.id}`).expect(200);
+
+  await bob.agent.post(`/api/messages/thread/${alice.id}/unread`).expect(200);
+  assert.equal(
+    (await bob.agent.get("/api/messages/unread")).body.unreadTotal,
+    1
+  );
+});
+
+test("polling with after only returns newer messages", async () => {
+  const alice = await createUser(ctx.app);
+  const bob = await createUser(ctx.app);
+  const first = await alice.agent
+    .post("/api/messages/send")
+    .send({ receiverId: bob.id, messageText: "one" });
+  await alice.agent
+    .post("/api/messages/send")
+    .send({ receiverId: bob.id, messageText: "two" });
+
+  const res = await bob.agent.get(
+    `/api/messages/thread/${alice.id}?after=${first.body.sent.message_id}`
+  );
+  assert.deepEqual(
+    res.body.messages.map((m) => m.message_text),
+    ["two"]
+  );
+});
+
+test("new messages create one notification per conversation", async () => {
+  const alice = await createUser(ctx.app, { userName: "Alice" });
+  const bob = await createUser(ctx.app);
+  await alice.agent
+    .post("/api/messages/send")
+    .send({ receiverId: bob.id, messageText: "one" });
+  await alice.agent
+    .post("/api/messages/send")
+    .send({ receiverId: bob.id, messageText: "two" });
+
+  // notifications are written after the response
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  const res = await bob.agent.get("/api/notifications").expect(200);
+  const messages = res.body.notifications.filter((n) => n.type === "message");
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].link, `/messages/${alice.id}`);
+});
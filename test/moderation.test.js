@@ -0,0 +1,181 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  startTestApp,
+  createUser,
+  makeAdmin,
+  guest,
+  PASSWORD,
+} from "./helpers.js";
+import { canTransition, restrictionMessage } from "../lib/moderation.js";
+
+let ctx;
+let admin;
+before(async () => {
+  ctx = await startTestApp();
+  admin = await makeAdmin(ctx.pool, await createUser(ctx.app));
+});
+after(() => ctx.stop());
+
+// file a report and return its id
+async function fileReport(reporter, reported, fields = {}) {
+  await reporter.agent
+    .post("/api/reports")
+    .send({ reportedUserId: reported.id, reason: "Rude", ...fields })
+    .expect(201);
+  const result = await ctx.pool.query(
+    "SELECT report_id FROM Reports WHERE reporter_id = $1 ORDER BY report_id DESC LIMIT 1",
+    [reporter.id]
+  );
+  return result.rows[0].report_id;
+}
+
+test("reports follow the workflow", async () => {
+  assert.ok(canTransition("New", "Investigating"));
+  assert.ok(!canTransition("New", "Resolved"));
+  assert.ok(!canTransition("Dismissed", "Investigating"));
+
+  const reporter = await createUser(ctx.app);
+  const reported = await createUser(ctx.app);
+  const id = await fileReport(reporter, reported, { category: "spam" });
+  const url = `/api/admin/report/${id}/status`;
+
+  const skip = await admin.agent
+    .post(url)
+    .send({ newStatus: "Resolved" })
+    .expect(409);
+  assert.equal(skip.body.message, "Can't move a report from New to Resolved.");
+  await admin.agent.post(url).send({ newStatus: "Investigating" }).expect(200);
+  await admin.agent.post(url).send({ newStatus: "Dismissed" }).expect(200);
+  await admin.agent.post(url).send({ newStatus: "Investigating" }).expect(409);
+
+  const list = await admin.agent
+    .get("/api/admin/reports?status=Dismissed")
+    .expect(200);
+  const report = list.body.reports.find((r) => r.report_id === id);
+  assert.equal(report.category, "spam");
+  assert.ok(list.body.reports.every((r) => r.report_status === "Dismissed"));
+});
+
+test("linked messages must be between the two users", async () => {
+  const reporter = await createUser(ctx.app);
+  const reported = await createUser(ctx.app);
+  const stranger = await createUser(ctx.app);
+  const sent = await reported.agent
+    .post("/api/messages/send")
+    .send({ receiverId: reporter.id, messageText: "Something nasty" })
+    .expect(201);
+  const messageId = sent.body.sent.message_id;
+
+  const res = await stranger.agent
+    .post("/api/reports")
+    .send({ reportedUserId: reported.id, reason: "Rude", messageId })
+    .expect(400);
+  assert.equal(res.body.errors[0].field, "messageId");
+  await reporter.agent
+    .post("/api/reports")
+    .send({ reportedUserId: reporter.id, reason: "Me" })
+    .expect(400);
+
+  const id = await fileReport(reporter, reported, {
+    category: "harassment",
+    messageId,
+  });
+  const detail = await admin.agent.get(`/api/admin/reports/${id}`).expect(200);
+  assert.equal(detail.body.message.message_text, "Something nasty");
+  assert.deepEqual(detail.body.nextStatuses, ["Investigating"]);
+});
+
+test("admins can assign reports and add notes", async () => {
+  const reporter = await createUser(ctx.app);
+  const reported = await createUser(ctx.app);
+  const id = await fileReport(reporter, reported);
+
+  await admin.agent
+    .post(`/api/admin/reports/${id}/assign`)
+    .send({ assigneeId: reporter.id })
+    .expect(400);
+  await admin.agent
+    .post(`/api/admin/reports/${id}/assign`)
+    .send({ assigneeId: admin.id })
+    .expect(200);
+  await admin.agent
+    .post(`/api/admin/reports/${id}/notes`)
+    .send({ note: "Checked the chat history." })
+    .expect(201);
+
+  const detail = await admin.agent.get(`/api/admin/reports/${id}`).expect(200);
+  assert.equal(detail.body.report.assigned_to, admin.id);
+  assert.equal(detail.body.notes[0].note, "Checked the chat history.");
+  const logs = await admin.agent.get("/api/admin/logs").expect(200);
+  assert.equal(logs.body.logs[0].action_type, "Add Report Note");
+});
+
+test("suspended users are logged out and can't log back in", async () => {
+  const user = await createUser(ctx.app);
+  await user.agent.get("/api/notifications").expect(200);
+
+  await admin.agent
+    .post(`/api/admin/users/${user.id}/moderate`)
+    .send({ action: "suspend", reason: "Spamming" })
+    .expect(400);
+  await admin.agent
+    .post(`/api/admin/users/${user.id}/moderate`)
+    .send({ action: "suspend", reason: "Spamming", days: 3 })
+    .expect(201);
+
+  const res = await user.agent.get("/api/notifications").expect(401);
+  assert.match(res.body.message, /log in/);
+  const login = await (await guest(ctx.app))
+    .post("/api/login")
+    .send({ email: user.email, password: PASSWORD })
+    .expect(403);
+  assert.match(login.body.message, /suspended until/);
+
+  const logs = await admin.agent.get("/api/admin/logs").expect(200);
+  assert.equal(logs.body.logs[0].action_type, "Suspend User");
+
+  await admin.agent
+    .post(`/api/admin/users/${user.id}/reinstate`)
+    .send({ reason: "Appeal accepted" })
+    .expect(200);
+  await (await guest(ctx.app))
+    .post("/api/login")
+    .send({ email: user.email, password: PASSWORD })
+    .expect(200);
+});
+
+test("bans apply to sessions that are already open", async () => {
+  const user = await createUser(ctx.app);
+  // ban straight in the database so the existing session survives
+  await ctx.pool.query(
+    "UPDATE Users SET banned_at = NOW() WHERE user_id = $1",
+    [user.id]
+  );
+  const res = await user.agent.get("/api/notifications").expect(403);
+  assert.equal(res.body.message, "Your account has been banned.");
+  assert.equal(
+    restrictionMessage({ suspended_until: new Date(Date.now() - 1000) }),
+    null,
+    "an expired suspension no longer applies"
+  );
+});
+
+test("warnings notify the user and admins can't be moderated", async () => {
+  const user = await createUser(ctx.app);
+  await admin.agent
+    .post(`/api/admin/users/${user.id}/moderate`)
+    .send({ action: "warn", reason: "Keep it friendly" })
+    .expect(201);
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  const notes = await user.agent.get("/api/notifications").expect(200);
+  assert.ok(
+    notes.body.notifications.some((n) => n.type === "moderation_warning")
+  );
+
+  const other = await makeAdmin(ctx.pool, await createUser(ctx.app));
+  await admin.agent
+    .post(`/api/admin/users/${other.id}/moderate`)
+    .send({ action: "ban", reason: "Test" })
+    .expect(403);
+});
@@ -0,0 +1,134 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import request from "supertest";
+import { startTestApp, createUser, guest } from "./helpers.js";
+
+let ctx;
+before(async () => (ctx = await startTestApp()));
+after(() => ctx.stop());
+beforeEach(() => ctx.pool.query("DELETE FROM Password_Reset_Requests"));
+
+// request a reset and pull the raw token out of the emailed link
+async function requestReset(email) {
+  const visitor = await guest(ctx.app);
+  await visitor.post("/forgot-password").send({ email }).expect(200);
+  const mail = ctx.notifier.transport.sent
+    .filter((m) => m.to === email && m.template === "password_reset")
+    .pop();
+  return mail && mail.text.match(/\/reset-password\/([0-9a-f]+)/)[1];
+}
+
+test("only a hash of the reset token is stored", async () => {
+  const user = await createUser(ctx.app);
+  const token = await requestReset(user.email);
+  assert.equal(token.length, 64);
+
+  const result = await ctx.pool.query(
+    "SELECT reset_token_hash FROM Users WHERE user_id = $1",
+    [user.id]
+  );
+  assert.notEqual(result.rows[0].reset_token_hash, token);
+  assert.equal(
+    result.rows[0].reset_token_hash,
+    crypto.createHash("sha256").update(token).digest("hex")
+  );
+  await request(ctx.app).get(`/reset-password/${token}`).expect(200);
+});
+
+test("reset links point at APP_URL whatever host the request names", async () => {
+  const user = await createUser(ctx.app);
+  const visitor = await guest(ctx.app);
+  await visitor
+    .post("/forgot-password")
+    .set("Host", "evil.example")
+    .set("X-Forwarded-Host", "evil.example")
+    .send({ email: user.email })
+    .expect(200);
+  const mail = ctx.notifier.transport.sent
+    .filter((m) => m.to === user.email && m.template === "password_reset")
+    .pop();
+  assert.doesNotMatch(mail.text, /evil\.example/);
+  assert.match(mail.text, /http:\/\/localhost:\d+\/reset-password\//);
+
+  const feed = await user.agent
+    .get("/api/calendar/feed")
+    .set("Host", "evil.example")
+    .expect(200);
+  assert.match(feed.body.feedUrl, /^http:\/\/localhost:\d+\/calendar\//);
+});
+
+test("weak passwords are refused", async () => {
+  const visitor = await guest(ctx.app);
+  const user = await createUser(ctx.app);
+  const token = await requestReset(user.email);
+
+  for (const newPassword of ["short1", "longbutnodigits", "12345678"]) {
+    await visitor
+      .post(`/reset-password/${token}`)
+      .send({ newPassword })
+      .expect(400);
+  }
+});
+
+test("a reset logs out every session and works only once", async () => {
+  const visitor = await guest(ctx.app);
+  const user = await createUser(ctx.app);
+  await user.agent.get("/api/notifications").expect(200);
+  const token = await requestReset(user.email);
+
+  await visitor
+    .post(`/reset-password/${token}`)
+    .send({ newPassword: "NewPassword42" })
+    .expect(302);
+  await user.agent.get("/api/notifications").expect(401);
+  await visitor
+    .post("/api/login")
+    .send({ email: user.email, password: "NewPassword42" })
+    .expect(200);
+
+  await visitor
+    .post(`/reset-password/${token}`)
+    .send({ newPassword: "AnotherPassword42" })
+    .expect(400);
+});
+
+test("expired tokens are refused at submit time", async () => {
+  const visitor = await guest(ctx.app);
+  const user = await createUser(ctx.app);
+  const token = await requestReset(user.email);
+  await ctx.pool.query(
+    "UPDATE Users SET reset_expires = NOW() - INTERVAL '1 minute' WHERE user_id = $1",
+    [user.id]
+  );
+
+  await visitor
+    .post(`/reset-password/${token}`)
+    .send({ newPassword: "NewPassword42" })
+    .expect(400);
+});
+
+test("repeated requests for one email stop sending mail", async () => {
+  const user = await createUser(ctx.app);
+  const before = ctx.notifier.transport.sent.length;
+  for (let i = 0; i < 5; i++) await requestReset(user.email);
+
+  const sent = ctx.notifier.transport.sent
+    .slice(before)
+    .filter((m) => m.to === user.email);
+  assert.equal(sent.length, 3);
+});
+
+test("too many requests from one address are refused", async () => {
+  const visitor = await guest(ctx.app);
+  for (let i = 0; i < 10; i++)
+    await visitor
+      .post("/forgot-password")
+      .send({ email: `nobody${i}@example.com` })
+      .expect(200);
+
+  await visitor
+    .post("/forgot-password")
+    .send({ email: "nobody@example.com" })
+    .expect(429);
+});
@@ -0,0 +1,332 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  startTestApp,
+  createUser,
+  createSkill,
+  makeAdmin,
+  futureTime,
+} from "./helpers.js";
+import { canActOnSession, canActOnUser } from "../lib/policies.js";
+
+let ctx;
+let provider;
+let student;
+let outsider;
+let skillId;
+let hour = 8;
+
+before(async () => {
+  ctx = await startTestApp();
+  provider = await createUser(ctx.app, { userName: "Tutor" });
+  student = await createUser(ctx.app, { userName: "Student" });
+  outsider = await createUser(ctx.app, { userName: "Outsider" });
+  skillId = await createSkill(ctx.pool, `Policy ${Date.now()}`);
+  await provider.agent
+    .put("/api/availability")
+    .send({
+      timezone: "UTC",
+      windows: [0, 1, 2, 3, 4, 5, 6].map((day) => ({
+        dayOfWeek: day,
+        startTime: "08:00",
+        endTime: "20:00",
+      })),
+    })
+    .expect(200);
+});
+after(() => ctx.stop());
+
+// book a fresh session, optionally forcing its status
+async function createSession(status) {
+  const res = await student.agent.post("/api/sessions/request").send({
+    providerId: provider.id,
+    skillTaughtId: skillId,
+    sessionDateTime: futureTime(hour++),
+    locationType: "Online",
+  });
+  assert.equal(res.status, 201);
+  const result = await ctx.pool.query(
+    "SELECT session_id FROM Sessions WHERE requester_id = $1 ORDER BY session_id DESC LIMIT 1",
+    [student.id]
+  );
+  const sessionId = result.rows[0].session_id;
+  if (status)
+    await ctx.pool.query(
+      "UPDATE Sessions SET status = $1 WHERE session_id = $2",
+      [status, sessionId]
+    );
+  return sessionId;
+}
+
+// move a session into the past so it can be completed
+async function endSession(sessionId) {
+  await ctx.pool.query(
+    "UPDATE Sessions SET session_date_time = NOW() - interval '2 hours' WHERE session_id = $1",
+    [sessionId]
+  );
+}
+
+test("policy rules for sessions", () => {
+  const session = { provider_id: 1, requester_id: 2 };
+  const tutor = { id: 1 };
+  const learner = { id: 2 };
+  const stranger = { id: 3 };
+
+  assert.equal(canActOnSession(tutor, "confirm", session), true);
+  assert.equal(canActOnSession(learner, "confirm", session), false);
+  assert.equal(canActOnSession(learner, "dispute", session), true);
+  assert.equal(canActOnSession(tutor, "dispute", session), false);
+  assert.equal(canActOnSession(learner, "rate", session), true);
+  assert.equal(canActOnSession(tutor, "rate", session), false);
+  for (const action of ["view", "cancel", "complete", "reschedule"]) {
+    assert.equal(canActOnSession(tutor, action, session), true);
+    assert.equal(canActOnSession(learner, action, session), true);
+    assert.equal(canActOnSession(stranger, action, session), false);
+  }
+  assert.equal(canActOnSession(null, "view", session), false);
+  assert.throws(() => canActOnSession(tutor, "explode", session));
+});
+
+test("policy rules for user data", () => {
+  assert.equal(canActOnUser({ id: 5 }, "viewSessions", "5"), true);
+  assert.equal(canActOnUser({ id: 6 }, "viewSessions", 5), false);
+  const admin = { id: 6, adminRole: "super_admin" };
+  assert.equal(canActOnUser(admin, "viewSessions", 5), true);
+  assert.equal(canActOnUser(admin, "editProfile", 5), false);
+  const curator = { id: 6, adminRole: "skill_curator" };
+  assert.equal(canActOnUser(curator, "viewSessions", 5), false);
+});
+
+test("session history is only visible to its owner and admins", async () => {
+  await outsider.agent.get(`/api/sessions/user/${student.id}`).expect(403);
+  await student.agent.get(`/api/sessions/user/${student.id}`).expect(200);
+
+  const admin = await makeAdmin(ctx.pool, await createUser(ctx.app));
+  await admin.agent.get(`/api/sessions/user/${student.id}`).expect(200);
+});
+
+test("other people's sessions need the manage_users permission right now", async () => {
+  const curator = await makeAdmin(
+    ctx.pool,
+    await createUser(ctx.app),
+    "skill_curator"
+  );
+  await curator.agent.get(`/api/sessions/user/${student.id}`).expect(403);
+
+  // a demoted admin loses access without logging out
+  const admin = await makeAdmin(ctx.pool, await createUser(ctx.app));
+  await admin.agent.get("/api/admin/users").expect(200);
+  assert.match((await admin.agent.get("/about")).text, /href="\/admin"/);
+  await ctx.pool.query(
+    "UPDATE Users SET admin_role = NULL WHERE user_id = $1",
+    [admin.id]
+  );
+  await admin.agent.get(`/api/sessions/user/${student.id}`).expect(403);
+  const status = await admin.agent.get("/api/2fa").expect(200);
+  assert.equal(status.body.required, false);
+  const page = await admin.agent.get("/about").expect(200);
+  assert.doesNotMatch(page.text, /href="\/admin"/);
+});
+
+test("profiles can only be edited by their owner", async () => {
+  const res = await outsider.agent
+    .put(`/api/user/profile/${student.id}`)
+    .send({ userName: "Hacked" });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.message, "Permission denied.");
+});
+
+test("only the provider can confirm", async () => {
+  const sessionId = await createSession();
+  await student.agent
+    .post("/api/sessions/confirm")
+    .send({ sessionId })
+    .expect(403);
+  await outsider.agent
+    .post("/api/sessions/confirm")
+    .send({ sessionId })
+    .expect(403);
+  await provider.agent
+    .post("/api/sessions/confirm")
+    .send({ sessionId })
+    .expect(200);
+});
+
+test("outsiders cannot deny or cancel a session", async () => {
+  const sessionId = await createSession();
+  await outsider.agent
+    .post("/api/sessions/deny")
+    .send({ sessionId })
+    .expect(403);
+
+  const res = await student.agent
+    .post("/api/sessions/deny")
+    .send({ sessionId, reason: "Changed plans" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.message, "Session Cancelled.");
+});
+
+test("finished sessions cannot be cancelled", async () => {
+  const sessionId = await createSession("Completed");
+  await provider.agent
+    .post("/api/sessions/deny")
+    .send({ sessionId })
+    .expect(400);
+});
+
+test("a session is only cancelled or denied once", async () => {
+  const sessionId = await createSession();
+  const [cancel, deny] = await Promise.all([
+    student.agent.post("/api/sessions/deny").send({ sessionId }),
+    provider.agent.post("/api/sessions/deny").send({ sessionId }),
+  ]);
+  const statuses = [cancel.status, deny.status].sort();
+  assert.equal(statuses[0], 200);
+  assert.ok([400, 409].includes(statuses[1]));
+
+  const result = await ctx.pool.query(
+    "SELECT status FROM Sessions WHERE session_id = $1",
+    [sessionId]
+  );
+  assert.equal(
+    result.rows[0].status,
+    cancel.status === 200 ? "Cancelled" : "Denied"
+  );
+});
+
+test("only participants can complete", async () => {
+  const sessionId = await createSession("Confirmed");
+  await endSession(sessionId);
+  await outsider.agent
+    .post("/api/sessions/complete")
+    .send({ sessionId })
+    .expect(403);
+  await provider.agent
+    .post("/api/sessions/complete")
+    .send({ sessionId })
+    .expect(200);
+});
+
+test("sessions cannot be completed before they end", async () => {
+  const sessionId = await createSession("Confirmed");
+  const res = await student.agent
+    .post("/api/sessions/complete")
+    .send({ sessionId });
+  assert.equal(res.status, 400);
+  assert.equal(
+    res.body.message,
+    "Sessions can only be completed after they end."
+  );
+
+  // still going: started an hour ago but booked for two
+  await ctx.pool.query(
+    "UPDATE Sessions SET session_date_time = NOW() - interval '1 hour', duration_minutes = 120 WHERE session_id = $1",
+    [sessionId]
+  );
+  await provider.agent
+    .post("/api/sessions/complete")
+    .send({ sessionId })
+    .expect(400);
+});
+
+test("only the requester can confirm a session awaiting confirmation", async () => {
+  const sessionId = await createSession("Needs Confirmation");
+  await endSession(sessionId);
+  await provider.agent
+    .post("/api/sessions/complete")
+    .send({ sessionId })
+    .expect(403);
+  await student.agent
+    .post("/api/sessions/complete")
+    .send({ sessionId })
+    .expect(200);
+});
+
+test("only the requester can dispute", async () => {
+  const sessionId = await createSession("Needs Confirmation");
+  await provider.agent
+    .post("/api/sessions/dispute")
+    .send({ sessionId, reason: "It happened" })
+    .expect(403);
+  await student.agent
+    .post("/api/sessions/dispute")
+    .send({ sessionId, reason: "Tutor never showed" })
+    .expect(200);
+});
+
+test("ratings ignore ids sent by the client", async () => {
+  const sessionId = await createSession("Completed");
+  await provider.agent
+    .post("/api/sessions/rate")
+    .send({ sessionId, likeStatus: true })
+    .expect(403);
+  await outsider.agent
+    .post("/api/sessions/rate")
+    .send({ sessionId, likeStatus: false })
+    .expect(403);
+
+  await student.agent
+    .post("/api/sessions/rate")
+    .send({
+      sessionId,
+      raterId: outsider.id,
+      rateeId: outsider.id,
+      likeStatus: true,
+    })
+    .expect(201);
+  const result = await ctx.pool.query(
+    "SELECT rater_id, ratee_id FROM Ratings WHERE session_id = $1",
+    [sessionId]
+  );
+  assert.deepEqual(result.rows[0], {
+    rater_id: student.id,
+    ratee_id: provider.id,
+  });
+});
+
+test("unfinished sessions cannot be rated", async () => {
+  const sessionId = await createSession("Confirmed");
+  await student.agent
+    .post("/api/sessions/rate")
+    .send({ sessionId, likeStatus: true })
+    .expect(400);
+});
+
+test("outsiders cannot see or change reschedule proposals", async () => {
+  const sessionId = await createSession();
+  await outsider.agent.get(`/api/sessions/${sessionId}/proposals`).expect(403);
+  await outsider.agent
+    .post(`/api/sessions/${sessionId}/propose`)
+    .send({ proposedDateTime: futureTime(19) })
+    .expect(403);
+  await outsider.agent
+    .post(`/api/sessions/${sessionId}/proposals/1/accept`)
+    .expect(403);
+  await student.agent.get(`/api/sessions/${sessionId}/proposals`).expect(200);
+});
+
+test("outsiders cannot download a session's calendar file", async () => {
+  const sessionId = await createSession();
+  await outsider.agent.get(`/session/${sessionId}/calendar.ics`).expect(403);
+  await student.agent.get(`/session/${sessionId}/calendar.ics`).expect(200);
+});
+
+test("unknown sessions return 404", async () => {
+  await student.agent
+    .post("/api/sessions/complete")
+    .send({ sessionId: 999999 })
+    .expect(404);
+});
+
+test("skill suggestions are credited to the logged-in user", async () => {
+  const name = `Suggested ${Date.now()}`;
+  await student.agent
+    .post("/api/skills/suggest")
+    .send({ skillName: name, userId: outsider.id })
+    .expect(201);
+  const result = await ctx.pool.query(
+    "SELECT suggesting_user_id FROM Skill_Suggestions WHERE suggested_skill_name = $1",
+    [name]
+  );
+  assert.equal(result.rows[0].suggesting_user_id, student.id);
+});
@@ -0,0 +1,108 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, createUser, createSkill } from "./helpers.js";
+
+let ctx;
+before(async () => (ctx = await startTestApp()));
+after(() => ctx.stop());
+
+// offer one skill with the given details
+async function offer(user, skillId, details) {
+  await user.agent
+    .post("/api/user/skills/offer")
+    .send({ skills: [{ skillId, ...details }] })
+    .expect(200);
+}
+
+test("offered and sought skills keep their level and credentials", async () => {
+  const skillId = await createSkill(ctx.pool, `Piano ${Date.now()}`);
+  const tutor = await createUser(ctx.app);
+  await offer(tutor, skillId, {
+    proficiencyLevel: "advanced",
+    yearsExperience: "6",
+    description: "Classical and jazz, happy to help with sight reading.",
+    credentialType: "certification",
+    credentialDetail: "ABRSM Grade 8",
+  });
+  await tutor.agent
+    .post("/api/user/skills/seek")
+    .send({ skills: [{ skillId, targetLevel: "expert" }] })
+    .expect(200);
+
+  const saved = await tutor.agent
+    .get(`/api/user/skills/${tutor.id}`)
+    .expect(200);
+  assert.equal(saved.body.offered[0].proficiency_level, "advanced");
+  assert.equal(saved.body.offered[0].years_experience, 6);
+  assert.equal(saved.body.offered[0].credential_detail, "ABRSM Grade 8");
+  assert.equal(saved.body.sought[0].target_level, "expert");
+
+  const viewer = await createUser(ctx.app);
+  const page = await viewer.agent.get(`/profile/view/${tutor.id}`).expect(200);
+  assert.match(page.text, /Advanced/);
+  assert.match(page.text, /6 years experience/);
+  assert.match(page.text, /Certification:<\/strong> ABRSM Grade 8/);
+  assert.match(page.text, /aiming for Expert/);
+});
+
+test("details are checked before saving", async () => {
+  const skillId = await createSkill(ctx.pool, `Chess ${Date.now()}`);
+  const user = await createUser(ctx.app);
+
+  const level = await user.agent
+    .post("/api/user/skills/offer")
+    .send({ skills: [{ skillId, proficiencyLevel: "grandmaster" }] })
+    .expect(400);
+  assert.equal(level.body.errors[0].field, "skills[0].proficiencyLevel");
+  const detailOnly = await user.agent
+    .post("/api/user/skills/offer")
+    .send({ skills: [{ skillId, credentialDetail: "Club champion" }] })
+    .expect(400);
+  assert.equal(detailOnly.body.errors[0].field, "skills[0].credentialType");
+  const typeOnly = await user.agent
+    .post("/api/user/skills/offer")
+    .send({ skills: [{ skillId, credentialType: "award" }] })
+    .expect(400);
+  assert.equal(typeOnly.body.errors[0].field, "skills[0].credentialDetail");
+  await user.agent
+    .post("/api/user/skills/offer")
+    .send({ skills: [{ skillId, yearsExperience: 81 }] })
+    .expect(400);
+});
+
+test("provider lookup filters by level, experience and credentials", async () => {
+  const skillId = await createSkill(ctx.pool, `Spanish ${Date.now()}`);
+  const expert = await createUser(ctx.app, { userName: "Expert" });
+  const beginner = await createUser(ctx.app, { userName: "Beginner" });
+  const unsaid = await createUser(ctx.app, { userName: "Unsaid" });
+  await offer(expert, skillId, {
+    proficiencyLevel: "expert",
+    yearsExperience: 10,
+    credentialType: "course_grade",
+    credentialDetail: "A in AP Spanish",
+  });
+  await offer(beginner, skillId, {
+    proficiencyLevel: "beginner",
+    yearsExperience: 1,
+  });
+  await offer(unsaid, skillId, {});
+  const student = await createUser(ctx.app);
+
+  // tutors who gave a level come first, best first
+  const lookup = (query = "") =>
+    student.agent
+      .get(`/api/skills/${skillId}/providers${query}`)
+      .expect(200)
+      .then((res) => res.body.providers.map((p) => p.user_id));
+  assert.deepEqual(await lookup(), [expert.id, beginner.id, unsaid.id]);
+  assert.deepEqual(await lookup("?minLevel=intermediate"), [expert.id]);
+  assert.deepEqual(await lookup("?minLevel=beginner"), [
+    expert.id,
+    beginner.id,
+  ]);
+  assert.deepEqual(await lookup("?minYears=2"), [expert.id]);
+  assert.deepEqual(await lookup("?credentialed=true"), [expert.id]);
+  await student.agent
+    .get(`/api/skills/${skillId}/providers?minLevel=guru`)
+    .expect(400);
+});
@@ -0,0 +1,120 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import WebSocket from "ws";
+import request from "supertest";
+import { startTestApp, createUser } from "./helpers.js";
+import { attachRealtime } from "../lib/realtime.js";
+
+let ctx;
+let server;
+let wss;
+let baseUrl;
+before(async () => {
+  ctx = await startTestApp();
+  const { sessionMiddleware, socketOrigins, handleRealtimeEvent } =
+    await import("../app.js");
+  server = http.createServer(ctx.app);
+  wss = attachRealtime(server, sessionMiddleware, {
+    allowedOrigins: socketOrigins,
+    onEvent: handleRealtimeEvent,
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(async () => {
+  wss.clients.forEach((ws) => ws.terminate());
+  wss.close();
+  await new Promise((resolve) => server.close(resolve));
+  await ctx.stop();
+});
+
+// the session cookie a logged-in agent holds
+function sessionCookie(user) {
+  return user.agent.jar
+    .getCookies({
+      domain: "127.0.0.1",
+      path: "/",
+      secure: false,
+      script: false,
+    })
+    .toValueString();
+}
+
+// open a socket as a user; resolves with the first message or the http status it was refused with
+function connect(user, origin) {
+  const ws = new WebSocket(`${baseUrl.replace("http", "ws")}/ws`, {
+    headers: { Cookie: sessionCookie(user) },
+    origin,
+  });
+  return new Promise((resolve) => {
+    ws.on("message", (data) => resolve({ ws, event: JSON.parse(data) }));
+    ws.on("unexpected-response", (req, res) =>
+      resolve({ status: res.statusCode })
+    );
+  });
+}
+
+test("the session cookie isn't sent on cross-site requests", async () => {
+  const res = await request(ctx.app).get("/api/csrf-token").expect(200);
+  assert.match(res.headers["set-cookie"].join(";"), /SameSite=Lax/);
+});
+
+test("sockets only open from allowed origins", async () => {
+  const user = await createUser(baseUrl);
+
+  const refused = await connect(user, "http://evil.example");
+  assert.equal(refused.status, 403);
+
+  const { ws, event } = await connect(user, "http://localhost:3000");
+  assert.equal(event.type, "ready");
+  ws.close();
+});
+
+// next event of a type on a socket, or null if none arrives in time
+function nextEvent(ws, type, ms = 500) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      ws.off("message", onMessage);
+      resolve(null);
+    }, ms);
+    function onMessage(data) {
+      const event = JSON.parse(data);
+      if (event.type !== type) return;
+      clearTimeout(timer);
+      ws.off("message", onMessage);
+      resolve(event);
+    }
+    ws.on("message", onMessage);
+  });
+}
+
+test("typing only reaches people the sender can message", async () => {
+  const sender = await createUser(baseUrl);
+  const receiver = await createUser(baseUrl);
+  const child = await createUser(baseUrl, {
+    dateOfBirth: `${new Date().getFullYear() - 10}-01-01`,
+    guardianEmail: "guardian@example.com",
+  });
+  const origin = "http://localhost:3000";
+  const from = (await connect(sender, origin)).ws;
+  const to = (await connect(receiver, origin)).ws;
+  const young = (await connect(child, origin)).ws;
+
+  let typing = nextEvent(to, "typing");
+  from.send(JSON.stringify({ type: "typing", to: receiver.id }));
+  assert.equal((await typing).from, sender.id);
+
+  // too far apart in age
+  typing = nextEvent(young, "typing");
+  from.send(JSON.stringify({ type: "typing", to: child.id }));
+  assert.equal(await typing, null);
+
+  // blocked, either way round
+  await receiver.agent.post(`/api/blocks/${sender.id}`).expect(201);
+  typing = nextEvent(to, "typing");
+  from.send(JSON.stringify({ type: "typing", to: receiver.id }));
+  assert.equal(await typing, null);
+
+  [from, to, young].forEach((ws) => ws.close());
+});
@@ -0,0 +1,107 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, createUser, makeAdmin } from "./helpers.js";
+import { roleCan } from "../lib/roles.js";
+
+let ctx;
+let superAdmin;
+before(async () => {
+  ctx = await startTestApp();
+  superAdmin = await makeAdmin(ctx.pool, await createUser(ctx.app));
+});
+after(() => ctx.stop());
+
+test("each role only reaches its own admin tools", async () => {
+  assert.ok(roleCan("super_admin", "manage_roles"));
+  assert.ok(!roleCan(null, "manage_reports"));
+
+  const moderator = await makeAdmin(
+    ctx.pool,
+    await createUser(ctx.app),
+    "moderator"
+  );
+  await moderator.agent.get("/api/admin/reports").expect(200);
+  const refused = await moderator.agent.get("/api/admin/users").expect(403);
+  assert.equal(
+    refused.body.message,
+    "Access denied. Your admin role doesn't allow this."
+  );
+  await moderator.agent.get("/api/admin/suggestions").expect(403);
+  await moderator.agent.get("/api/admin/logs").expect(403);
+  const page = await moderator.agent.get("/admin").expect(200);
+  assert.match(page.text, /Security Reports/);
+  assert.doesNotMatch(page.text, /User Database/);
+
+  const curator = await makeAdmin(
+    ctx.pool,
+    await createUser(ctx.app),
+    "skill_curator"
+  );
+  await curator.agent.get("/api/admin/suggestions").expect(200);
+  await curator.agent
+    .post("/api/skills")
+    .send({ skillName: `Curated ${Date.now()}` })
+    .expect(201);
+  await curator.agent.get("/api/admin/reports").expect(403);
+  await curator.agent
+    .post(`/api/admin/users/${moderator.id}/role`)
+    .send({ role: "none" })
+    .expect(403);
+});
+
+test("role changes apply straight away and are logged", async () => {
+  const user = await makeAdmin(
+    ctx.pool,
+    await createUser(ctx.app),
+    "moderator"
+  );
+  await user.agent.get("/api/admin/reports").expect(200);
+
+  await superAdmin.agent
+    .post(`/api/admin/users/${user.id}/role`)
+    .send({ role: "skill_curator", reason: "Moving teams" })
+    .expect(200);
+  await user.agent.get("/api/admin/reports").expect(403);
+  await user.agent.get("/api/admin/suggestions").expect(200);
+
+  await superAdmin.agent
+    .post(`/api/admin/users/${user.id}/role`)
+    .send({ role: "none" })
+    .expect(200);
+  await user.agent.get("/api/admin/suggestions").expect(403);
+
+  const logs = await superAdmin.agent
+    .get("/api/admin/logs?action=Change Role")
+    .expect(200);
+  assert.deepEqual(logs.body.logs[0].after_data, { admin_role: null });
+  assert.deepEqual(logs.body.logs[1].after_data, {
+    admin_role: "skill_curator",
+  });
+  await superAdmin.agent
+    .post(`/api/admin/users/${user.id}/role`)
+    .send({ role: "owner" })
+    .expect(400);
+});
+
+test("protected accounts can't be demoted or deleted", async () => {
+  const root = await makeAdmin(ctx.pool, await createUser(ctx.app));
+  await ctx.pool.query(
+    "UPDATE Users SET is_protected = TRUE WHERE user_id = $1",
+    [root.id]
+  );
+
+  await superAdmin.agent
+    .post(`/api/admin/users/${root.id}/role`)
+    .send({ role: "none" })
+    .expect(403);
+  await superAdmin.agent.delete(`/api/admin/users/${root.id}`).expect(403);
+  await superAdmin.agent
+    .post(`/api/admin/users/${superAdmin.id}/role`)
+    .send({ role: "none" })
+    .expect(400);
+
+  const users = await superAdmin.agent.get("/api/admin/users").expect(200);
+  const listed = users.body.users.find((u) => u.user_id === root.id);
+  assert.equal(listed.is_protected, true);
+  assert.equal(listed.admin_role, "super_admin");
+});
@@ -0,0 +1,284 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import {
+  startTestApp,
+  createUser,
+  createSkill,
+  futureTime,
+  guest,
+} from "./helpers.js";
+import {
+  ageOn,
+  ageBand,
+  loadSafetyRules,
+  sessionBlockReason,
+  DEFAULT_SAFETY_RULES,
+} from "../lib/safety.js";
+
+let ctx;
+before(async () => (ctx = await startTestApp()));
+after(() => ctx.stop());
+
+// emails are sent after the response
+const settle = () => new Promise((resolve) => setTimeout(resolve, 200));
+
+// date of birth for someone who turned this old about half a year ago
+function bornYearsAgo(years) {
+  const date = new Date();
+  date.setUTCFullYear(date.getUTCFullYear() - years);
+  date.setUTCMonth(date.getUTCMonth() - 6);
+  return date.toISOString().slice(0, 10);
+}
+
+// under-13 account approved by a guardian
+async function createChild() {
+  const child = await createUser(ctx.app, {
+    dateOfBirth: bornYearsAgo(11),
+    guardianEmail: `guardian${Date.now()}@example.com`,
+  });
+  await ctx.pool.query(
+    "UPDATE Users SET guardian_consent_at = NOW() WHERE user_id = $1",
+    [child.id]
+  );
+  return child;
+}
+
+test("ages fall into bands and rules can be overridden", () => {
+  assert.equal(ageOn("2010-06-15", new Date("2023-06-14T12:00:00Z")), 12);
+  assert.equal(ageOn("2010-06-15", new Date("2023-06-15T12:00:00Z")), 13);
+  assert.deepEqual([12, 13, 17, 18, null].map(ageBand), [0, 1, 1, 2, 2]);
+
+  const rules = DEFAULT_SAFETY_RULES;
+  assert.match(sessionBlockReason(rules, 1, 2, "In-Person"), /in-person/i);
+  assert.equal(sessionBlockReason(rules, 1, 2, "Online"), null);
+  assert.match(sessionBlockReason(rules, 0, 2, "Online"), /age groups/);
+
+  const relaxed = loadSafetyRules({
+    SAFETY_SESSION_BAND_GAP: "2",
+    SAFETY_IN_PERSON_MINOR_ADULT: "true",
+  });
+  assert.equal(sessionBlockReason(relaxed, 0, 2, "In-Person"), null);
+  assert.equal(relaxed.messageBandGap, DEFAULT_SAFETY_RULES.messageBandGap);
+});
+
+test("under-13s need a guardian email to register", async () => {
+  const visitor = await guest(ctx.app);
+  const details = {
+    email: `kid${Date.now()}@example.com`,
+    password: "Password123",
+    userName: "Kid",
+    dateOfBirth: bornYearsAgo(10),
+  };
+
+  const res = await visitor.post("/api/register").send(details).expect(400);
+  assert.equal(res.body.errors[0].field, "guardianEmail");
+
+  const guardianEmail = `parent${Date.now()}@example.com`;
+  await visitor
+    .post("/api/register")
+    .send({ ...details, guardianEmail })
+    .expect(201);
+  await settle();
+  const mail = ctx.notifier.transport.sent.find((m) => m.to === guardianEmail);
+  assert.equal(mail.template, "guardian_consent");
+  assert.match(mail.subject, /Kid would like to join/);
+});
+
+test("a guardian's approval unlocks messaging and sessions", async () => {
+  const guardianEmail = `parent${Date.now()}@example.com`;
+  const child = await createUser(ctx.app, {
+    dateOfBirth: bornYearsAgo(11),
+    guardianEmail,
+  });
+  const friend = await createChild();
+
+  const blocked = await child.agent
+    .post("/api/messages/send")
+    .send({ receiverId: friend.id, messageText: "Hi" });
+  assert.equal(blocked.status, 403);
+  assert.match(blocked.body.message, /guardian/);
+  await child.agent
+    .post("/api/sessions/request")
+    .send({ providerId: friend.id })
+    .expect(403);
+
+  // the guardian opens the link and approves on the page
+  await settle();
+  const link = ctx.notifier.transport.sent
+    .find((m) => m.to === guardianEmail)
+    .text.match(/\/guardian-consent\/[\w.-]+/)[0];
+  const guardian = request.agent(ctx.app);
+  const page = await guardian.get(link).expect(200);
+  const token = page.text.match(/name="_csrf" value="([0-9a-f]+)"/)[1];
+  await guardian.post(link).type("form").send({ _csrf: token }).expect(200);
+  await request(ctx.app).get(`${link}x`).expect(400);
+
+  await child.agent
+    .post("/api/messages/send")
+    .send({ receiverId: friend.id, messageText: "Hi" })
+    .expect(201);
+});
+
+test("messages are limited by age band", async () => {
+  const child = await createChild();
+  const teen = await createUser(ctx.app, { dateOfBirth: bornYearsAgo(15) });
+  const adult = await createUser(ctx.app);
+
+  await child.agent
+    .post("/api/messages/send")
+    .send({ receiverId: adult.id, messageText: "Hi" })
+    .expect(403);
+  await adult.agent
+    .post("/api/messages/send")
+    .send({ receiverId: child.id, messageText: "Hi" })
+    .expect(403);
+  await teen.agent
+    .post("/api/messages/send")
+    .send({ receiverId: adult.id, messageText: "Hi" })
+    .expect(201);
+});
+
+test("a birthday moves an open session into the new age band", async () => {
+  const child = await createChild();
+  const teen = await createUser(ctx.app, { dateOfBirth: bornYearsAgo(17) });
+  await teen.agent
+    .post("/api/messages/send")
+    .send({ receiverId: child.id, messageText: "Hi" })
+    .expect(201);
+
+  // turns 18 while still logged in
+  await ctx.pool.query(
+    "UPDATE Users SET date_of_birth = $1 WHERE user_id = $2",
+    [bornYearsAgo(18), teen.id]
+  );
+  await teen.agent
+    .post("/api/messages/send")
+    .send({ receiverId: child.id, messageText: "Hi again" })
+    .expect(403);
+});
+
+test("a birthday stops rescheduling across age groups", async () => {
+  const child = await createChild();
+  const teen = await createUser(ctx.app, { dateOfBirth: bornYearsAgo(17) });
+  await teen.agent
+    .put("/api/availability")
+    .send({
+      timezone: "UTC",
+      windows: [0, 1, 2, 3, 4, 5, 6].map((day) => ({
+        dayOfWeek: day,
+        startTime: "08:00",
+        endTime: "20:00",
+      })),
+    })
+    .expect(200);
+  await child.agent
+    .post("/api/sessions/request")
+    .send({
+      providerId: teen.id,
+      skillTaughtId: await createSkill(ctx.pool, `Drawing ${Date.now()}`),
+      sessionDateTime: futureTime(10),
+      locationType: "Online",
+    })
+    .expect(201);
+  const session = await ctx.pool.query(
+    "SELECT session_id FROM Sessions WHERE requester_id = $1",
+    [child.id]
+  );
+  const sessionId = session.rows[0].session_id;
+  await child.agent
+    .post(`/api/sessions/${sessionId}/propose`)
+    .send({ proposedDateTime: futureTime(12) })
+    .expect(201);
+  const proposal = await ctx.pool.query(
+    "SELECT proposal_id FROM Session_Proposals WHERE session_id = $1",
+    [sessionId]
+  );
+
+  // turns 18 before answering
+  await ctx.pool.query(
+    "UPDATE Users SET date_of_birth = $1 WHERE user_id = $2",
+    [bornYearsAgo(18), teen.id]
+  );
+  const res = await teen.agent
+    .post(`/api/sessions/${sessionId}/propose`)
+    .send({ proposedDateTime: futureTime(14) })
+    .expect(403);
+  assert.match(res.body.message, /age groups/);
+  await teen.agent
+    .post(
+      `/api/sessions/${sessionId}/proposals/${proposal.rows[0].proposal_id}/accept`
+    )
+    .expect(403);
+});
+
+test("minors and adults can only meet online", async () => {
+  const teen = await createUser(ctx.app, { dateOfBirth: bornYearsAgo(15) });
+  const adult = await createUser(ctx.app);
+  await adult.agent
+    .put("/api/availability")
+    .send({
+      timezone: "UTC",
+      windows: [0, 1, 2, 3, 4, 5, 6].map((day) => ({
+        dayOfWeek: day,
+        startTime: "08:00",
+        endTime: "20:00",
+      })),
+    })
+    .expect(200);
+  const booking = {
+    providerId: adult.id,
+    skillTaughtId: await createSkill(ctx.pool, `Chemistry ${Date.now()}`),
+    sessionDateTime: futureTime(11),
+    locationType: "In-Person",
+  };
+
+  const res = await teen.agent
+    .post("/api/sessions/request")
+    .send(booking)
+    .expect(403);
+  assert.match(res.body.message, /online/);
+  await teen.agent
+    .post("/api/sessions/request")
+    .send({ ...booking, locationType: "Online" })
+    .expect(201);
+});
+
+test("providers and search only list reachable age bands", async () => {
+  const child = await createChild();
+  const name = `Band${Date.now()}`;
+  const teen = await createUser(ctx.app, {
+    userName: `${name} Teen`,
+    dateOfBirth: bornYearsAgo(15),
+  });
+  const adult = await createUser(ctx.app, { userName: `${name} Adult` });
+  const skillId = await createSkill(ctx.pool, `Art ${Date.now()}`);
+  for (const user of [teen, adult])
+    await user.agent
+      .post("/api/user/skills/offer")
+      .send({ skills: [{ skillId }] })
+      .expect(200);
+
+  const providers = await child.agent
+    .get(`/api/skills/${skillId}/providers`)
+    .expect(200);
+  assert.deepEqual(
+    providers.body.providers.map((p) => p.user_id),
+    [teen.id]
+  );
+
+  const search = await child.agent.get(`/api/search?q=${name}`).expect(200);
+  assert.deepEqual(
+    search.body.results.map((r) => r.user_id),
+    [teen.id]
+  );
+
+  // children waiting on a guardian don't show up for anyone
+  const waiting = await createUser(ctx.app, {
+    userName: `${name} Waiting`,
+    dateOfBirth: bornYearsAgo(11),
+    guardianEmail: `parent${Date.now()}@example.com`,
+  });
+  const fromTeen = await teen.agent.get(`/api/search?q=${name}`).expect(200);
+  assert.ok(!fromTeen.body.results.some((r) => r.user_id === waiting.id));
+});
@@ -0,0 +1,182 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  startTestApp,
+  createUser,
+  createSkill,
+  futureTime,
+} from "./helpers.js";
+
+let ctx;
+before(async () => (ctx = await startTestApp()));
+after(() => ctx.stop());
+
+// provider who can teach any time of day
+async function createProvider() {
+  const provider = await createUser(ctx.app, { userName: "Tutor" });
+  await provider.agent
+    .put("/api/availability")
+    .send({
+      timezone: "UTC",
+      windows: [0, 1, 2, 3, 4, 5, 6].map((day) => ({
+        dayOfWeek: day,
+        startTime: "08:00",
+        endTime: "20:00",
+      })),
+    })
+    .expect(200);
+  return provider;
+}
+
+// find a session in a user's history
+async function getSession(user, sessionId) {
+  const res = await user.agent.get(`/api/sessions/user/${user.id}`);
+  return res.body.sessions.find((s) => s.session_id === sessionId);
+}
+
+test("request -> confirm -> complete -> rate", async () => {
+  const provider = await createProvider();
+  const student = await createUser(ctx.app, { userName: "Student" });
+  const skillId = await createSkill(ctx.pool, `Algebra ${Date.now()}`);
+
+  await student.agent
+    .post("/api/sessions/request")
+    .send({
+      providerId: provider.id,
+      skillTaughtId: skillId,
+      sessionDateTime: futureTime(10),
+      locationType: "Online",
+      durationMinutes: 60,
+    })
+    .expect(201);
+
+  const history = await provider.agent.get(`/api/sessions/user/${provider.id}`);
+  const sessionId = history.body.sessions[0].session_id;
+  assert.equal(history.body.sessions[0].status, "Requested");
+
+  // only the provider can confirm
+  await student.agent
+    .post("/api/sessions/confirm")
+    .send({ sessionId })
+    .expect(403);
+  await provider.agent
+    .post("/api/sessions/confirm")
+    .send({ sessionId, meetingUrl: "https://meet.google.com/abc" })
+    .expect(200);
+  assert.equal((await getSession(student, sessionId)).status, "Confirmed");
+
+  // the lesson has to be over before it can be completed
+  await ctx.pool.query(
+    "UPDATE Sessions SET session_date_time = NOW() - interval '2 hours' WHERE session_id = $1",
+    [sessionId]
+  );
+  await student.agent
+    .post("/api/sessions/complete")
+    .send({ sessionId })
+    .expect(200);
+  assert.equal((await getSession(student, sessionId)).status, "Completed");
+
+  await student.agent
+    .post("/api/sessions/rate")
+    .send({
+      sessionId,
+      raterId: student.id,
+      rateeId: provider.id,
+      likeStatus: true,
+      feedbackText: "Great help",
+    })
+    .expect(201);
+  assert.equal((await getSession(student, sessionId)).is_rated, true);
+
+  // a second rating for the same session is refused
+  const again = await student.agent.post("/api/sessions/rate").send({
+    sessionId,
+    raterId: student.id,
+    rateeId: provider.id,
+    likeStatus: false,
+  });
+  assert.equal(again.status, 409);
+});
+
+test("double-booking the same slot is refused", async () => {
+  const provider = await createProvider();
+  const first = await createUser(ctx.app);
+  const second = await createUser(ctx.app);
+  const skillId = await createSkill(ctx.pool, `Chemistry ${Date.now()}`);
+  const booking = {
+    providerId: provider.id,
+    skillTaughtId: skillId,
+    sessionDateTime: futureTime(14),
+    locationType: "In-Person",
+  };
+
+  await first.agent.post("/api/sessions/request").send(booking).expect(201);
+  const res = await second.agent.post("/api/sessions/request").send(booking);
+  assert.equal(res.status, 409);
+});
+
+test("requests outside availability are refused", async () => {
+  const provider = await createProvider();
+  const student = await createUser(ctx.app);
+  const skillId = await createSkill(ctx.pool, `Biology ${Date.now()}`);
+
+  const res = await student.agent.post("/api/sessions/request").send({
+    providerId: provider.id,
+    skillTaughtId: skillId,
+    sessionDateTime: futureTime(22),
+    locationType: "Online",
+  });
+  assert.equal(res.status, 409);
+});
+
+test("outsiders cannot complete someone else's session", async () => {
+  const provider = await createProvider();
+  const student = await createUser(ctx.app);
+  const outsider = await createUser(ctx.app);
+  const skillId = await createSkill(ctx.pool, `Physics ${Date.now()}`);
+
+  await student.agent
+    .post("/api/sessions/request")
+    .send({
+      providerId: provider.id,
+      skillTaughtId: skillId,
+      sessionDateTime: futureTime(9),
+      locationType: "Online",
+    })
+    .expect(201);
+  const history = await student.agent.get(`/api/sessions/user/${student.id}`);
+  const sessionId = history.body.sessions[0].session_id;
+
+  const res = await outsider.agent
+    .post("/api/sessions/complete")
+    .send({ sessionId });
+  assert.equal(res.status, 403);
+});
+
+test("confirming a session emails the requester", async () => {
+  const provider = await createProvider();
+  const student = await createUser(ctx.app);
+  const skillId = await createSkill(ctx.pool, `Guitar ${Date.now()}`);
+
+  await student.agent
+    .post("/api/sessions/request")
+    .send({
+      providerId: provider.id,
+      skillTaughtId: skillId,
+      sessionDateTime: futureTime(16),
+      locationType: "Online",
+    })
+    .expect(201);
+  const history = await student.agent.get(`/api/sessions/user/${student.id}`);
+  await provider.agent
+    .post("/api/sessions/confirm")
+    .send({ sessionId: history.body.sessions[0].session_id })
+    .expect(200);
+
+  // emails are sent after the response
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  const sent = ctx.notifier.transport.sent.filter(
+    (m) => m.to === student.email && m.template === "session_confirmed"
+  );
+  assert.equal(sent.length, 1);
+});
@@ -0,0 +1,149 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, createUser, makeAdmin, futureTime } from "./helpers.js";
+
+let ctx;
+let admin;
+before(async () => {
+  ctx = await startTestApp();
+  admin = await makeAdmin(ctx.pool, await createUser(ctx.app));
+});
+after(() => ctx.stop());
+
+let counter = 0;
+// admin-created skill with a unique name
+async function addSkill(name) {
+  counter += 1;
+  const res = await admin.agent
+    .post("/api/skills")
+    .send({ skillName: `${name} ${Date.now()}-${counter}` })
+    .expect(201);
+  return res.body.skill;
+}
+
+// offer skills as a user
+async function offer(user, ...skillIds) {
+  await user.agent
+    .post("/api/user/skills/offer")
+    .send({ skills: skillIds.map((skillId) => ({ skillId })) })
+    .expect(200);
+}
+
+test("aliases resolve in suggestions and search", async () => {
+  const skill = await addSkill("Calculus");
+  const alias = `Calc ${skill.skill_id}`;
+  await admin.agent
+    .post(`/api/skills/${skill.skill_id}/aliases`)
+    .send({ alias })
+    .expect(201);
+  await admin.agent
+    .post(`/api/skills/${skill.skill_id}/aliases`)
+    .send({ alias: skill.skill_name.toUpperCase() })
+    .expect(409);
+
+  const user = await createUser(ctx.app);
+  const res = await user.agent
+    .post("/api/skills/suggest")
+    .send({ skillName: alias.toLowerCase() })
+    .expect(409);
+  assert.match(res.body.message, new RegExp(skill.skill_name));
+
+  const tutor = await createUser(ctx.app);
+  await offer(tutor, skill.skill_id);
+  const search = await user.agent
+    .get(`/api/search?q=${encodeURIComponent(alias)}`)
+    .expect(200);
+  const match = search.body.results.find((r) => r.user_id === tutor.id);
+  assert.equal(match.sub_text, skill.skill_name);
+});
+
+test("merging moves people and sessions to the surviving skill", async () => {
+  const duplicate = await addSkill("Guitar Lessons");
+  const survivor = await addSkill("Guitar");
+  const onlyDuplicate = await createUser(ctx.app);
+  const both = await createUser(ctx.app);
+  await offer(onlyDuplicate, duplicate.skill_id);
+  await offer(both, duplicate.skill_id, survivor.skill_id);
+  await both.agent
+    .post("/api/user/skills/seek")
+    .send({ skills: [{ skillId: duplicate.skill_id }] })
+    .expect(200);
+  const session = await ctx.pool.query(
+    `INSERT INTO Sessions (provider_id, requester_id, skill_taught_id, session_date_time, location_type)
+     VALUES ($1, $2, $3, $4, 'Online') RETURNING session_id`,
+    [onlyDuplicate.id, both.id, duplicate.skill_id, futureTime(10)]
+  );
+
+  await admin.agent
+    .post(`/api/skills/${duplicate.skill_id}/merge`)
+    .send({ targetId: duplicate.skill_id })
+    .expect(400);
+  const res = await admin.agent
+    .post(`/api/skills/${duplicate.skill_id}/merge`)
+    .send({ targetId: survivor.skill_id, reason: "Same thing" })
+    .expect(200);
+  assert.equal(res.body.moved.Sessions, 1);
+
+  const offered = await ctx.pool.query(
+    "SELECT user_id, skill_id FROM User_Skills_Offered WHERE user_id = ANY($1) ORDER BY user_id",
+    [[onlyDuplicate.id, both.id]]
+  );
+  assert.deepEqual(offered.rows, [
+    { user_id: onlyDuplicate.id, skill_id: survivor.skill_id },
+    { user_id: both.id, skill_id: survivor.skill_id },
+  ]);
+  const sought = await ctx.pool.query(
+    "SELECT skill_id FROM User_Skills_Sought WHERE user_id = $1",
+    [both.id]
+  );
+  assert.equal(sought.rows[0].skill_id, survivor.skill_id);
+  const moved = await ctx.pool.query(
+    "SELECT skill_taught_id FROM Sessions WHERE session_id = $1",
+    [session.rows[0].session_id]
+  );
+  assert.equal(moved.rows[0].skill_taught_id, survivor.skill_id);
+
+  // the old name now points at the survivor
+  const catalog = await admin.agent.get("/api/admin/skills").expect(200);
+  const kept = catalog.body.skills.find(
+    (s) => s.skill_id === survivor.skill_id
+  );
+  assert.deepEqual(kept.aliases, [duplicate.skill_name]);
+  assert.ok(
+    !catalog.body.skills.some((s) => s.skill_id === duplicate.skill_id)
+  );
+  const logs = await admin.agent.get("/api/admin/logs").expect(200);
+  assert.equal(logs.body.logs[0].action_type, "Merge Skill");
+});
+
+test("skills can be sorted into categories", async () => {
+  const name = `Robotics ${Date.now()}`;
+  const created = await admin.agent
+    .post("/api/skill-categories")
+    .send({ categoryName: name })
+    .expect(201);
+  await admin.agent
+    .post("/api/skill-categories")
+    .send({ categoryName: name })
+    .expect(409);
+
+  const skill = await addSkill("Arduino");
+  await admin.agent
+    .put(`/api/skills/${skill.skill_id}/category`)
+    .send({ categoryId: created.body.category.category_id })
+    .expect(200);
+  const bad = await admin.agent
+    .put(`/api/skills/${skill.skill_id}/category`)
+    .send({ categoryId: 999999 })
+    .expect(400);
+  assert.equal(bad.body.errors[0].field, "categoryId");
+
+  const catalog = await admin.agent.get("/api/admin/skills").expect(200);
+  const row = catalog.body.skills.find((s) => s.skill_id === skill.skill_id);
+  assert.equal(row.category_name, name);
+  assert.ok(catalog.body.categories.some((c) => c.category_name === "Math"));
+
+  const user = await createUser(ctx.app);
+  const page = await user.agent.get("/profile/edit").expect(200);
+  assert.match(page.text, new RegExp(`<th[^>]*>${name}</th>`));
+});
@@ -0,0 +1,165 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  startTestApp,
+  createUser,
+  makeAdmin,
+  guest,
+  PASSWORD,
+  TOTP_SECRET,
+} from "./helpers.js";
+import { totpCode, totpStep, checkTotp } from "../lib/totp.js";
+
+let ctx;
+before(async () => (ctx = await startTestApp()));
+after(() => ctx.stop());
+
+// turn two-factor on through the api, returns the secret and recovery codes
+async function enroll(user) {
+  const setup = await user.agent.post("/api/2fa/setup").expect(200);
+  const res = await user.agent
+    .post("/api/2fa/enable")
+    .send({ code: totpCode(setup.body.secret) })
+    .expect(200);
+  return { secret: setup.body.secret, recoveryCodes: res.body.recoveryCodes };
+}
+
+// first login step from a fresh agent
+async function startLogin(user) {
+  const visitor = await guest(ctx.app);
+  const res = await visitor
+    .post("/api/login")
+    .send({ email: user.email, password: PASSWORD })
+    .expect(200);
+  assert.equal(res.body.twoFactorRequired, true);
+  return visitor;
+}
+
+test("codes follow rfc 6238 and can't be reused", () => {
+  // rfc test vector for the ascii secret "12345678901234567890"
+  const secret = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+  assert.equal(totpCode(secret, Math.floor(1111111109 / 30)), "081804");
+
+  const now = Date.now();
+  const step = checkTotp(secret, totpCode(secret, totpStep(now)), null, now);
+  assert.equal(step, totpStep(now));
+  assert.equal(
+    checkTotp(secret, totpCode(secret, step), step, now),
+    null,
+    "a used step is refused"
+  );
+  assert.equal(checkTotp(secret, "12345", null, now), null);
+});
+
+test("enrollment shows a qr code and needs a valid code", async () => {
+  const user = await createUser(ctx.app);
+  const setup = await user.agent.post("/api/2fa/setup").expect(200);
+  assert.match(setup.body.qrCode, /^data:image\/png;base64,/);
+
+  const wrong = await user.agent
+    .post("/api/2fa/enable")
+    .send({ code: String(Number(totpCode(setup.body.secret)) + 1).slice(-6) })
+    .expect(400);
+  assert.equal(wrong.body.errors[0].field, "code");
+
+  const res = await user.agent
+    .post("/api/2fa/enable")
+    .send({ code: totpCode(setup.body.secret) })
+    .expect(200);
+  assert.equal(res.body.recoveryCodes.length, 10);
+
+  const status = await user.agent.get("/api/2fa").expect(200);
+  assert.equal(status.body.enabled, true);
+  assert.equal(status.body.recoveryCodesLeft, 10);
+  await user.agent.post("/api/2fa/setup").expect(400);
+});
+
+test("login waits for the code before starting a session", async () => {
+  const user = await createUser(ctx.app);
+  const { secret } = await enroll(user);
+  const visitor = await startLogin(user);
+  await visitor.get("/api/notifications").expect(401);
+
+  await visitor.post("/api/login/verify").send({ code: "abc" }).expect(400);
+  // the enrollment code's step is used up, so take the next one
+  const code = totpCode(secret, totpStep() + 1);
+  const res = await visitor
+    .post("/api/login/verify")
+    .send({ code })
+    .expect(200);
+  assert.equal(res.body.user.id, user.id);
+  await visitor.get("/api/notifications").expect(200);
+
+  // the same code can't log in a second time
+  const other = await startLogin(user);
+  await other.post("/api/login/verify").send({ code }).expect(400);
+});
+
+test("recovery codes work once", async () => {
+  const user = await createUser(ctx.app);
+  const { recoveryCodes } = await enroll(user);
+
+  const visitor = await startLogin(user);
+  const res = await visitor
+    .post("/api/login/verify")
+    .send({ code: recoveryCodes[0].toUpperCase() })
+    .expect(200);
+  assert.equal(res.body.recoveryCodesLeft, 9);
+
+  const again = await startLogin(user);
+  await again
+    .post("/api/login/verify")
+    .send({ code: recoveryCodes[0] })
+    .expect(400);
+});
+
+test("the code step needs the password step first", async () => {
+  const visitor = await guest(ctx.app);
+  await visitor.post("/api/login/verify").send({ code: "123456" }).expect(401);
+});
+
+test("admins must set up two-factor before using admin tools", async () => {
+  const user = await createUser(ctx.app);
+  await ctx.pool.query(
+    "UPDATE Users SET admin_role = 'super_admin' WHERE user_id = $1",
+    [user.id]
+  );
+  await user.agent
+    .post("/api/login")
+    .send({ email: user.email, password: PASSWORD })
+    .expect(200);
+
+  const res = await user.agent.get("/api/admin/users").expect(403);
+  assert.match(res.body.message, /two-factor/);
+  const page = await user.agent.get("/admin").expect(302);
+  assert.equal(page.headers.location, "/profile/edit#twoFactor");
+
+  await enroll(user);
+  await user.agent.get("/api/admin/users").expect(200);
+});
+
+test("only regular users can turn two-factor off", async () => {
+  const admin = await makeAdmin(ctx.pool, await createUser(ctx.app));
+  await admin.agent
+    .post("/api/2fa/disable")
+    .send({ password: PASSWORD, code: totpCode(TOTP_SECRET, totpStep() + 1) })
+    .expect(403);
+
+  const user = await createUser(ctx.app);
+  const { secret } = await enroll(user);
+  const code = totpCode(secret, totpStep() + 1);
+  await user.agent
+    .post("/api/2fa/disable")
+    .send({ password: "wrong-password", code })
+    .expect(400);
+  await user.agent
+    .post("/api/2fa/disable")
+    .send({ password: PASSWORD, code })
+    .expect(200);
+
+  const login = await (await guest(ctx.app))
+    .post("/api/login")
+    .send({ email: user.email, password: PASSWORD })
+    .expect(200);
+  assert.equal(login.body.user.id, user.id);
+});
@@ -0,0 +1,112 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, createUser, guest } from "./helpers.js";
+import { v, validate } from "../lib/validation.js";
+
+let ctx;
+before(async () => (ctx = await startTestApp()));
+after(() => ctx.stop());
+
+// run a body schema through the middleware without express
+function check(body, shape) {
+  const req = { originalUrl: "/api/test", params: {}, body };
+  let result = null;
+  const res = {
+    status: (code) => ({ json: (data) => (result = { code, ...data }) }),
+  };
+  validate({ body: shape })(req, res, () => (result = { body: req.body }));
+  return result;
+}
+
+test("rules clean values and report field, code and message", () => {
+  const shape = {
+    count: v.int({ max: 10 }),
+    tags: v.array(v.string({ max: 5 })).optional([]),
+  };
+  assert.deepEqual(check({ count: "3", extra: "x" }, shape), {
+    body: { count: 3, tags: [] },
+  });
+
+  const bad = check({ count: 11, tags: ["ok", "too long"] }, shape);
+  assert.equal(bad.code, 400);
+  assert.deepEqual(
+    bad.errors.map((e) => [e.field, e.code]),
+    [
+      ["count", "too_large"],
+      ["tags[1]", "too_long"],
+    ]
+  );
+  assert.equal(bad.message, "Count must be at most 10.");
+});
+
+test("registration checks password strength and date of birth", async () => {
+  const visitor = await guest(ctx.app);
+  const details = {
+    email: `valid${Date.now()}@example.com`,
+    userName: "Val",
+    password: "Password123",
+    dateOfBirth: "2000-01-01",
+  };
+
+  const weak = await visitor
+    .post("/api/register")
+    .send({ ...details, password: "password" })
+    .expect(400);
+  assert.equal(weak.body.errors[0].field, "password");
+  assert.equal(weak.body.errors[0].code, "weak_password");
+
+  const future = await visitor
+    .post("/api/register")
+    .send({ ...details, dateOfBirth: "2999-01-01" })
+    .expect(400);
+  assert.equal(future.body.errors[0].code, "not_in_past");
+
+  const missing = await visitor
+    .post("/api/register")
+    .send({ email: "not-an-email" })
+    .expect(400);
+  assert.deepEqual(
+    missing.body.errors.map((e) => e.field),
+    ["email", "password", "userName", "dateOfBirth"]
+  );
+});
+
+test("handlers get typed ids and reject bad ones", async () => {
+  const user = await createUser(ctx.app);
+
+  const res = await user.agent.post("/api/user/skills/offer").send({});
+  assert.equal(res.status, 400);
+  assert.equal(res.body.errors[0].field, "skills");
+
+  await user.agent.get("/api/user/skills/abc").expect(400);
+  await user.agent.get("/api/messages/thread/1.5").expect(400);
+});
+
+test("session requests check time and location", async () => {
+  const user = await createUser(ctx.app);
+  const other = await createUser(ctx.app);
+  const request = {
+    providerId: other.id,
+    skillTaughtId: 1,
+    sessionDateTime: new Date(Date.now() + 86400000).toISOString(),
+    locationType: "Online",
+  };
+
+  const place = await user.agent
+    .post("/api/sessions/request")
+    .send({ ...request, locationType: "Moon" })
+    .expect(400);
+  assert.equal(place.body.errors[0].code, "invalid_choice");
+
+  const past = await user.agent
+    .post("/api/sessions/request")
+    .send({ ...request, sessionDateTime: "2000-01-01T10:00:00Z" })
+    .expect(400);
+  assert.equal(past.body.errors[0].field, "sessionDateTime");
+
+  const self = await user.agent
+    .post("/api/sessions/request")
+    .send({ ...request, providerId: user.id })
+    .expect(400);
+  assert.equal(self.body.errors[0].field, "providerId");
+});
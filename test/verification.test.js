@@ -0,0 +1,122 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { startTestApp, createUser, makeAdmin, guest } from "./helpers.js";
+import {
+  createVerificationToken,
+  checkVerificationToken,
+  VERIFICATION_TTL_HOURS,
+} from "../lib/verification.js";
+
+let ctx;
+before(async () => (ctx = await startTestApp()));
+after(() => ctx.stop());
+
+// emails are sent after the response
+const settle = () => new Promise((resolve) => setTimeout(resolve, 200));
+
+// path of the latest verification link sent to an address
+function verificationPath(email) {
+  const mail = ctx.notifier.transport.sent
+    .filter((m) => m.to === email && m.template === "verify_email")
+    .pop();
+  return mail && mail.text.match(/\/verify-email\/[\w.-]+/)[0];
+}
+
+test("tokens are tied to the address and expire", () => {
+  const token = createVerificationToken("secret", 7, "a@example.com");
+  assert.equal(checkVerificationToken("secret", token, "A@example.com"), true);
+  assert.equal(checkVerificationToken("secret", token, "b@example.com"), false);
+  assert.equal(checkVerificationToken("other", token, "a@example.com"), false);
+
+  const later = Date.now() + (VERIFICATION_TTL_HOURS + 1) * 3600 * 1000;
+  assert.equal(
+    checkVerificationToken("secret", token, "a@example.com", later),
+    false
+  );
+});
+
+test("new accounts must verify before messaging or booking", async () => {
+  const user = await createUser(ctx.app, { verified: false });
+  const other = await createUser(ctx.app);
+  const page = await user.agent.get("/dashboard").expect(200);
+  assert.match(page.text, /Please verify your email address/);
+
+  const res = await user.agent
+    .post("/api/messages/send")
+    .send({ receiverId: other.id, messageText: "Hi" });
+  assert.equal(res.status, 403);
+  await user.agent
+    .post("/api/sessions/request")
+    .send({ providerId: other.id })
+    .expect(403);
+
+  await settle();
+  await user.agent.get(verificationPath(user.email)).expect(302);
+  await user.agent
+    .post("/api/messages/send")
+    .send({ receiverId: other.id, messageText: "Hi" })
+    .expect(201);
+});
+
+test("a verification link opened elsewhere unblocks the session", async () => {
+  const user = await createUser(ctx.app, { verified: false });
+  const other = await createUser(ctx.app);
+
+  await settle();
+  await request(ctx.app).get(verificationPath(user.email)).expect(302);
+  await user.agent
+    .post("/api/messages/send")
+    .send({ receiverId: other.id, messageText: "Hello" })
+    .expect(201);
+});
+
+test("tampered links are refused", async () => {
+  const user = await createUser(ctx.app, { verified: false });
+  await settle();
+  const link = verificationPath(user.email);
+
+  await request(ctx.app).get(`${link}x`).expect(400);
+  await request(ctx.app).get("/verify-email/not-a-token").expect(400);
+  const result = await ctx.pool.query(
+    "SELECT email_verified_at FROM Users WHERE user_id = $1",
+    [user.id]
+  );
+  assert.equal(result.rows[0].email_verified_at, null);
+});
+
+test("verification emails can be resent, but not too often", async () => {
+  const visitor = await guest(ctx.app);
+  const user = await createUser(ctx.app, { verified: false });
+  await settle();
+  await ctx.pool.query(
+    "UPDATE Users SET verification_sent_at = NULL WHERE user_id = $1",
+    [user.id]
+  );
+
+  await user.agent.post("/api/verify-email/resend").expect(200);
+  await user.agent.post("/api/verify-email/resend").expect(429);
+  await settle();
+  const sent = ctx.notifier.transport.sent.filter(
+    (m) => m.to === user.email && m.template === "verify_email"
+  );
+  assert.equal(sent.length, 2);
+
+  // the register page resends by address and never reveals whether it exists
+  await visitor
+    .post("/api/verify-email/resend")
+    .send({ email: "nobody@example.com" })
+    .expect(200);
+});
+
+test("admins can see who is verified", async () => {
+  const admin = await makeAdmin(ctx.pool, await createUser(ctx.app));
+  const user = await createUser(ctx.app, { verified: false });
+
+  const res = await admin.agent.get("/api/admin/users").expect(200);
+  const row = res.body.users.find((u) => u.user_id === user.id);
+  assert.equal(row.email_verified_at, null);
+  assert.ok(
+    res.body.users.find((u) => u.user_id === admin.id).email_verified_at
+  );
+});